@@ -21,6 +21,13 @@ cp manifest.json "${PLUGIN_DIR}/"
 cp index.js "${PLUGIN_DIR}/"
 cp meross-cloud-manager.js "${PLUGIN_DIR}/"
 cp simple-mqtt-client.js "${PLUGIN_DIR}/"
+cp meross-lan-client.js "${PLUGIN_DIR}/"
+cp secure-store.js "${PLUGIN_DIR}/"
+cp meross-device.js "${PLUGIN_DIR}/"
+cp retry-policy.js "${PLUGIN_DIR}/"
+cp meross-errors.js "${PLUGIN_DIR}/"
+cp logger.js "${PLUGIN_DIR}/"
+cp job-energy-meter.js "${PLUGIN_DIR}/"
 
 # Include logo if it exists
 if [ -f "logo.png" ]; then
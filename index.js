@@ -8,47 +8,115 @@
  */
 
 import MerossCloudManager from './meross-cloud-manager.js';
-
-let merossManagers = {}; // Map of device name -> MerossCloudManager
+import MerossDevice from './meross-device.js';
+import RetryPolicy from './retry-policy.js';
+import JobEnergyMeter from './job-energy-meter.js';
+import Logger from './logger.js';
+import { MerossError, MfaRequiredError, RateLimitedError } from './meross-errors.js';
+import { sealJson, openJson, isLegacySealed } from './secure-store.js';
+
+let merossCloud = null; // Account session shared by all devices (one MQTT connection)
+let merossCloudConnecting = null; // In-flight connectMerossCloud, shared by concurrent callers
+let merossDevices = {}; // Map of device name -> MerossDevice handle on merossCloud
+let connectionAbort = null; // AbortController for pending connection retries, aborted on unload
+let log = new Logger(null); // Leveled, redacting logger; bound to ctx in onLoad
 let commandMappings = [];
 let discoveryTimer = null;
 let discoveryInProgress = false;
 let lastDiscoveryRequest = 0;
 let nextDiscoveryAllowedAt = 0;
 let discoveryBackoffMs = 0;
+let jobActive = false; // Set while G-code lines are streaming, cleared on job end
+let powerTimer = null;
+let lastPowerPollAt = 0;
+let powerPollInProgress = false;
+let powerReadings = {}; // Map of device name -> { status, channels: { [channel]: reading }, todayWh, at }
+let jobEnergyMeter = null; // Samples mapped metering plugs from job start to job end
 
 /**
  * Test outlet function - can be called externally
  * @param {string} deviceName - Name of device
- * @param {number} channelIndex - Channel index (1-based)
+ * @param {number} channelIndex - Channel index (1-based; 0 for a single-outlet plug)
  * @param {boolean} turnOn - Turn on or off
  */
 export async function testOutlet(deviceName, channelIndex, turnOn) {
-  const manager = merossManagers[deviceName];
-  if (!manager || !manager.isConnected()) {
+  const device = merossDevices[deviceName];
+  if (!device || !device.isReady()) {
     throw new Error(`Device ${deviceName} not connected. Please save settings and reload plugin first.`);
   }
   
   if (turnOn) {
-    await manager.turnOn(channelIndex);
+    await device.turnOn(channelIndex);
   } else {
-    await manager.turnOff(channelIndex);
+    await device.turnOff(channelIndex);
   }
   
   return { success: true, device: deviceName, channel: channelIndex, action: turnOn ? 'on' : 'off' };
 }
 
+/**
+ * Get the live on/off state of an outlet
+ * @param {string} deviceName - Name of device
+ * @param {number} channelIndex - Channel index (1-based; 0 for a single-outlet plug)
+ * @param {number} [maxAgeMs] - Accept a cached state younger than this
+ */
+export async function getOutletState(deviceName, channelIndex, maxAgeMs = 0) {
+  const device = merossDevices[deviceName];
+  if (!device || !device.isReady()) {
+    throw new Error(`Device ${deviceName} not connected. Please save settings and reload plugin first.`);
+  }
+  
+  const state = await device.getChannelState(channelIndex, { maxAgeMs });
+  return { device: deviceName, channel: channelIndex, on: state ? state.onoff === 1 : null, state };
+}
+
+/**
+ * Get the live power reading of an outlet on a metering plug
+ * Plugs meter the whole device as channel 0; outlets without their own meter get that
+ * total, flagged with deviceTotal
+ * @param {string} deviceName - Name of device
+ * @param {number} channelIndex - Channel index (1-based; 0 for a single-outlet plug)
+ * @param {number} [maxAgeMs] - Accept a cached reading younger than this
+ */
+export async function getOutletPower(deviceName, channelIndex, maxAgeMs = 0) {
+  const device = merossDevices[deviceName];
+  if (!device || !device.isReady()) {
+    throw new Error(`Device ${deviceName} not connected. Please save settings and reload plugin first.`);
+  }
+  
+  const meteredChannel = device.electricity.has(channelIndex) ? channelIndex : 0;
+  const reading = await device.getElectricity(meteredChannel, { maxAgeMs });
+  return {
+    device: deviceName,
+    channel: channelIndex,
+    watts: reading ? reading.power : null,
+    deviceTotal: meteredChannel !== channelIndex,
+    reading
+  };
+}
+
+/**
+ * Get the power readings collected by the poller, by device name
+ */
+export function getPowerReadings() {
+  return JSON.parse(JSON.stringify(powerReadings));
+}
+
 /**
  * Get connection status
  */
 export async function getStatus() {
-  const connectedDevices = Object.entries(merossManagers)
-    .filter(([_, manager]) => manager.isConnected())
+  const connectedDevices = Object.entries(merossDevices)
+    .filter(([_, device]) => device.isConnected())
+    .map(([deviceName, _]) => deviceName);
+  const reconnectingDevices = Object.entries(merossDevices)
+    .filter(([_, device]) => device.isReady() && !device.isConnected())
     .map(([deviceName, _]) => deviceName);
   
   return {
     connected: connectedDevices.length > 0,
-    devices: connectedDevices
+    devices: connectedDevices,
+    reconnecting: reconnectingDevices
   };
 }
 
@@ -57,7 +125,10 @@ export async function getStatus() {
  * Plugin initialization
  */
 export function onLoad(ctx) {
-  ctx.log('Meross Smart Outlet Controller v1.0.0 loading...');
+  log = new Logger(ctx);
+  log.info('Meross Smart Outlet Controller v1.0.0 loading...');
+  
+  connectionAbort = new AbortController();
   
   // Register command handler
   registerCommandHandler(ctx);
@@ -71,11 +142,43 @@ export function onLoad(ctx) {
   
   // Start discovery watcher (works without CNC connection)
   startDiscoveryWatcher(ctx);
+  startPowerPolling(ctx);
+  
+  // Restore the saved Meross login first so startup doesn't sign in again
+  restoreMerossSession(ctx).then(() => initializeMerossConnection(ctx));
+  
+  log.info('Meross Smart Outlet Controller loaded successfully');
+}
+
+/**
+ * Load the encrypted Meross session from settings and keep it up to date
+ */
+async function restoreMerossSession(ctx) {
+  const settings = await loadSettingsFromAPI(ctx);
+  const session = openJson(settings.merossSession);
   
-  // Initialize Meross connection
-  initializeMerossConnection(ctx);
+  if (settings.merossSession && !session) {
+    log.warn('Saved Meross session could not be decrypted (settings moved from another machine, or the key file was deleted?); signing in again');
+  } else if (MerossCloudManager.restoreSession(session)) {
+    log.info(`Restored Meross session from ${new Date(session.lastLoginAt).toLocaleString()}`);
+  }
   
-  ctx.log('Meross Smart Outlet Controller loaded successfully');
+  MerossCloudManager.onSessionChange = (latest) => {
+    saveMerossSession(ctx, latest).catch(error => {
+      log.error('Failed to save Meross session:', error.message);
+    });
+  };
+}
+
+/**
+ * Store the Meross session (token, key, domains, login block) encrypted in settings
+ */
+async function saveMerossSession(ctx, session) {
+  const settings = await loadSettingsFromAPI(ctx);
+  settings.merossSession = session ? sealJson(session) : null;
+  if (ctx.setSettings) {
+    ctx.setSettings(settings);
+  }
 }
 
 /**
@@ -84,9 +187,10 @@ export function onLoad(ctx) {
 async function initializeMerossConnection(ctx) {
   try {
     const settings = await loadSettingsFromAPI(ctx);
+    const offline = settings.connectionMode === 'offline';
     
-    if (!settings.merossEmail || !settings.merossPassword) {
-      ctx.log('Meross credentials not configured. Please configure in plugin settings.');
+    if (!offline && !hasMerossCredentials(settings)) {
+      log.warn('Meross credentials not configured. Please configure in plugin settings.');
       return;
     }
     
@@ -99,49 +203,367 @@ async function initializeMerossConnection(ctx) {
     });
     
     if (devicesUsed.size === 0) {
-      ctx.log('No device mappings configured. Skipping device connections.');
+      log.info('No device mappings configured. Skipping device connections.');
       return;
     }
     
-    ctx.log('Connecting to Meross cloud...');
+    log.info(offline ? 'Offline mode: connecting to devices on the local network...' : 'Connecting to Meross cloud...');
+    
+    // Sign in once for all devices; if that fails for good, no device can connect
+    try {
+      await getMerossCloud(ctx, settings);
+    } catch (error) {
+      await recordConnectionFailure(ctx, error);
+      return;
+    }
+    
+    // Link states of devices we are about to (re)connect no longer apply
+    const staleStates = Object.keys(settings.connectionStates || {})
+      .filter(deviceName => !merossDevices[deviceName] || !merossDevices[deviceName].isReady());
+    if (staleStates.length > 0 && ctx.setSettings) {
+      staleStates.forEach(deviceName => delete settings.connectionStates[deviceName]);
+      ctx.setSettings(settings);
+    }
     
     // Connect to each device used in mappings
     for (const deviceName of devicesUsed) {
+      if (connectionAbort && connectionAbort.signal.aborted) {
+        return; // Plugin unloaded meanwhile
+      }
+      if (merossDevices[deviceName] && merossDevices[deviceName].isReady()) {
+        continue; // Still logged in; the shared MQTT link reconnects on its own
+      }
+      
       try {
-        const manager = new MerossCloudManager(ctx);
-        const connected = await manager.connect(
-          settings.merossEmail,
-          settings.merossPassword,
-          deviceName
-        );
+        const device = await connectDevice(ctx, settings, deviceName);
+        log.info(`Successfully connected to device: ${deviceName}`);
         
-        if (connected) {
-          merossManagers[deviceName] = manager;
-          ctx.log(`Successfully connected to device: ${deviceName}`);
-          
-          // Turn off all outlets on startup (failsafe)
-          const deviceList = settings.discoveredDevices || [];
-          const device = deviceList.find(d => d.devName === deviceName);
-          if (device) {
-            const numChannels = device.channels.length - 1; // Subtract master channel
-            for (let i = 1; i <= numChannels; i++) {
-              await manager.turnOff(i);
-            }
+        if (!offline && settings.transportMode !== 'cloud') {
+          await learnLanHost(ctx, device, deviceName);
+        }
+        
+        // Turn off all outlets on startup (failsafe)
+        const deviceInfo = getConfiguredDevices(settings).find(d => d.devName === deviceName);
+        if (deviceInfo) {
+          for (const channel of MerossDevice.outletChannels(deviceInfo)) {
+            await device.turnOff(channel);
           }
         }
       } catch (error) {
-        ctx.log(`Failed to connect to device ${deviceName}:`, error.message);
+        log.error(`Failed to connect to device ${deviceName}:`, error.message);
+        if (error instanceof MfaRequiredError) {
+          await recordMfaRequired(ctx, error);
+          break; // Every device needs the same sign-in
+        }
       }
     }
     
-    if (Object.keys(merossManagers).length > 0) {
-      ctx.log('Startup failsafe: All outlets turned OFF');
+    if (Object.keys(merossDevices).length > 0) {
+      log.info('Startup failsafe: All outlets turned OFF');
     } else {
-      ctx.log('No devices connected successfully');
+      log.warn('No devices connected successfully');
     }
   } catch (error) {
-    ctx.log('Error initializing Meross connection:', error.message);
+    log.error('Error initializing Meross connection:', error.message);
+  }
+}
+
+/**
+ * Report a sign-in that failed for good (or was cancelled) to the log and the dialog
+ */
+async function recordConnectionFailure(ctx, error) {
+  if (RetryPolicy.isAbort(error)) {
+    log.info('Meross connection cancelled');
+    return;
+  }
+  
+  const reason = error.cause instanceof MerossError ? error.cause : error; // Unwrap a given-up retry
+  if (reason instanceof MfaRequiredError) {
+    await recordMfaRequired(ctx, reason);
+  }
+  log.error(`✗ Could not connect to Meross: ${error.message}`);
+  await setConnectionError(ctx, {
+    code: reason.code || 'error',
+    message: error.message,
+    attempts: error.attempts || 1,
+    retryAfterMs: reason.retryAfterMs || null,
+    at: Date.now()
+  });
+}
+
+/**
+ * Store (or clear, with null) the last final connection failure shown in the dialog
+ */
+async function setConnectionError(ctx, connectionError) {
+  const settings = await loadSettingsFromAPI(ctx);
+  if (!connectionError && !settings.connectionError) return;
+  
+  settings.connectionError = connectionError;
+  if (ctx.setSettings) {
+    ctx.setSettings(settings);
+  }
+}
+
+/**
+ * Ask the dialog for a verification code; discovery stays paused until one is entered
+ */
+async function recordMfaRequired(ctx, error) {
+  const settings = await loadSettingsFromAPI(ctx);
+  settings.discoverRequestedAt = 0;
+  settings.mfaCode = '';
+  settings.lastDiscoveryResult = {
+    status: 'mfa_required',
+    code: error.code,
+    message: error.message,
+    at: Date.now()
+  };
+  if (ctx.setSettings) {
+    ctx.setSettings(settings);
+  }
+}
+
+/**
+ * Return the shared account session, signing in (or setting up offline mode) if needed
+ */
+async function getMerossCloud(ctx, settings) {
+  if (merossCloud && merossCloud.isReady()) {
+    return merossCloud;
   }
+  
+  if (!merossCloudConnecting) {
+    merossCloudConnecting = connectMerossCloud(ctx, settings).finally(() => {
+      merossCloudConnecting = null;
+    });
+  }
+  return merossCloudConnecting;
+}
+
+/**
+ * Start a new account session through the cloud, or locally in offline mode
+ */
+async function connectMerossCloud(ctx, settings) {
+  if (merossCloud) {
+    // Lost its login; its device handles are released and get reconnected on use
+    await merossCloud.disconnect();
+    merossCloud = null;
+  }
+  
+  const cloud = new MerossCloudManager(ctx, getCloudSessionOptions(settings));
+  cloud.on('connectionState', (state, detail) => {
+    recordConnectionState(ctx, state, detail).catch(error => {
+      log.error('Failed to record connection state:', error.message);
+    });
+  });
+  
+  if (settings.connectionMode === 'offline') {
+    cloud.connectLocal(getOfflineKey(settings));
+  } else {
+    await cloud.connect(settings.merossEmail, getMerossPassword(settings), {
+      signal: connectionAbort ? connectionAbort.signal : undefined
+    });
+    await rememberCloudDomains(ctx, cloud);
+  }
+  
+  merossCloud = cloud;
+  await setConnectionError(ctx, null);
+  return cloud;
+}
+
+/**
+ * Look up a device entry: from the account in cloud mode, from the offline list otherwise
+ */
+function findDeviceInfo(cloud, settings, deviceName) {
+  const deviceInfo = settings.connectionMode === 'offline'
+    ? getConfiguredDevices(settings).find(d => d.devName === deviceName)
+    : cloud.findDevice(deviceName);
+  if (!deviceInfo) {
+    throw new Error(`Device "${deviceName}" is not in the offline device list`);
+  }
+  return deviceInfo;
+}
+
+/**
+ * Run fn(handle) against a device without putting it under the plugin's control
+ * A connected device (mapped or tested) is used as it is; otherwise fn gets a temporary
+ * handle that is not registered with the session, so it never replaces a mapped
+ * handle that is still connecting, and is released without the failsafe turn-off
+ */
+async function withDeviceHandle(ctx, settings, deviceName, fn) {
+  const connected = merossDevices[deviceName];
+  if (connected && connected.isReady()) {
+    return fn(connected);
+  }
+  
+  const cloud = await getMerossCloud(ctx, settings);
+  const handle = cloud.createTemporaryDevice(findDeviceInfo(cloud, settings, deviceName), getDeviceOptions(settings, deviceName));
+  try {
+    return await fn(handle); // MQTT comes up on demand with the first command
+  } finally {
+    handle.release();
+  }
+}
+
+/**
+ * Create the handle for a device on the shared session and bring up its control path
+ */
+async function connectDevice(ctx, settings, deviceName) {
+  const cloud = await getMerossCloud(ctx, settings);
+  const device = cloud.addDevice(findDeviceInfo(cloud, settings, deviceName), getDeviceOptions(settings, deviceName));
+  device.on('stateChange', (channel, state, detail) => {
+    handleOutletStateChange(ctx, deviceName, channel, state, detail).catch(error => {
+      log.error('Failed to record outlet state:', error.message);
+    });
+  });
+  device.on('deviceOnline', (online) => {
+    if (!online) {
+      log.warn(`⚠ ${deviceName} went offline (unplugged or lost Wi-Fi); outlet commands will fail until it is back`);
+    }
+  });
+  
+  await device.connect();
+  merossDevices[deviceName] = device;
+  return device;
+}
+
+/**
+ * Region and previously resolved cloud domains for a new MerossCloudManager
+ * Resolved domains only apply to the account and region they were found for
+ */
+function getCloudOptions(settings) {
+  const region = settings.merossRegion || 'auto';
+  const known = settings.merossDomains;
+  const matches = known && known.email === settings.merossEmail && known.region === region;
+  return {
+    region,
+    knownDomains: matches ? { domain: known.domain, mqttDomain: known.mqttDomain } : null
+  };
+}
+
+/**
+ * Persist the HTTP and MQTT domains a sign-in resolved to, so the next start
+ * goes straight to the account's region
+ */
+async function rememberCloudDomains(ctx, cloud) {
+  const resolved = cloud.getResolvedDomains();
+  const settings = await loadSettingsFromAPI(ctx);
+  const known = settings.merossDomains || {};
+  
+  if (known.email === settings.merossEmail && known.region === resolved.region &&
+      known.domain === resolved.domain && known.mqttDomain === resolved.mqttDomain) {
+    return;
+  }
+  
+  settings.merossDomains = { email: settings.merossEmail, ...resolved, at: Date.now() };
+  log.debug(`Meross cloud endpoints: ${resolved.domain} / ${resolved.mqttDomain || 'broker from sign-in'}`);
+  if (ctx.setSettings) {
+    ctx.setSettings(settings);
+  }
+}
+
+/**
+ * Devices the plugin works with: discovered from the cloud account, or the
+ * manually entered list in offline mode (same shape: devName, uuid, ip, channels)
+ */
+function getConfiguredDevices(settings) {
+  if (settings.connectionMode !== 'offline') {
+    return settings.discoveredDevices || [];
+  }
+  
+  return (settings.offlineDevices || []).map(device => {
+    const channelCount = Math.max(1, parseInt(device.channelCount) || 1);
+    const names = device.channelNames || [];
+    // Like devList: a single-outlet plug is just channel 0, otherwise index 0 is the master channel
+    const channels = channelCount === 1 ? [{ devName: names[0] || '' }] : [{}];
+    for (let i = 1; channelCount > 1 && i <= channelCount; i++) {
+      channels.push({ devName: names[i - 1] || `Outlet ${i}` });
+    }
+    return {
+      devName: device.devName,
+      deviceType: device.deviceType || 'manual',
+      uuid: device.uuid,
+      ip: device.ip,
+      channels
+    };
+  });
+}
+
+/**
+ * Copy discovered devices and the account key into the offline device list
+ * The key is only known after a cloud login in this session
+ */
+async function exportOfflineDevices(ctx, settings) {
+  const auth = MerossCloudManager.sharedAuth;
+  const latest = await loadSettingsFromAPI(ctx);
+  
+  if (!auth || !auth.key) {
+    latest.lastOfflineExport = {
+      status: 'error',
+      message: 'Sign in to the Meross cloud first (discover devices or reload the plugin), then export again.',
+      at: Date.now()
+    };
+  } else {
+    const devices = settings.discoveredDevices || [];
+    const missingIp = devices.filter(device => !device.ip && !(settings.deviceIps || {})[device.devName]);
+    
+    latest.offlineKeySealed = sealJson({ key: auth.key });
+    latest.offlineKey = '';
+    latest.offlineDevices = devices.map(device => ({
+      devName: device.devName,
+      deviceType: device.deviceType,
+      uuid: device.uuid,
+      ip: (settings.deviceIps || {})[device.devName] || device.ip || '',
+      channelCount: MerossDevice.outletChannels(device).length,
+      channelNames: MerossDevice.outletChannels(device).map(channel => ((device.channels || [])[channel] || {}).devName || '')
+    }));
+    latest.lastOfflineExport = {
+      status: missingIp.length > 0 ? 'warning' : 'success',
+      message: missingIp.length > 0
+        ? `Exported ${devices.length} device(s); enter the LAN IP for: ${missingIp.map(d => d.devName).join(', ')}`
+        : `Exported ${devices.length} device(s)`,
+      at: Date.now()
+    };
+  }
+  
+  log.info(`Offline export: ${latest.lastOfflineExport.message}`);
+  if (ctx.setSettings) {
+    ctx.setSettings(latest);
+  }
+}
+
+/**
+ * Ask a device for its LAN IP and remember it with the discovered devices
+ */
+async function learnLanHost(ctx, handle, deviceName) {
+  if (handle.lanHostManual) return;
+  
+  try {
+    const ip = await handle.discoverLanHost();
+    if (!ip) {
+      log.info(`${deviceName} did not report a LAN IP; using cloud control`);
+      return;
+    }
+    
+    const settings = await loadSettingsFromAPI(ctx);
+    const device = (settings.discoveredDevices || []).find(d => d.devName === deviceName);
+    if (device && device.ip !== ip) {
+      device.ip = ip;
+      if (ctx.setSettings) {
+        ctx.setSettings(settings);
+      }
+    }
+  } catch (error) {
+    log.warn(`Could not read LAN IP of ${deviceName}:`, error.message);
+  }
+}
+
+/**
+ * Apply the log level and register stored secrets for redaction
+ * Runs on every settings load, so a level chosen in the dialog applies without a reload
+ */
+function applyLogSettings(settings) {
+  Logger.setLevel(settings.logLevel);
+  Logger.addSecret(settings.merossPassword);
+  Logger.addSecret(settings.offlineKey);
 }
 
 /**
@@ -151,32 +573,255 @@ async function loadSettingsFromAPI(ctx) {
   const defaultSettings = getDefaultSettings();
   
   try {
-    const settings = ctx.getSettings ? ctx.getSettings() : {};
-    return { ...defaultSettings, ...settings };
+    const settings = { ...defaultSettings, ...(ctx.getSettings ? ctx.getSettings() : {}) };
+    applyLogSettings(settings);
+    return settings;
   } catch (error) {
-    ctx.log('Failed to load settings, using defaults:', error);
+    log.error('Failed to load settings, using defaults:', error);
     return defaultSettings;
   }
 }
 
+/**
+ * Track outlet changes reported by the device and flag manual changes mid-job
+ */
+async function handleOutletStateChange(ctx, deviceName, channel, state, detail) {
+  // Polls are stored in bulk by refreshOutletStates
+  if (detail.source === 'poll') return;
+  
+  const settings = await loadSettingsFromAPI(ctx);
+  const device = getConfiguredDevices(settings).find(d => d.devName === deviceName);
+  const channelInfo = device && device.channels ? device.channels[channel] : null;
+  const channelName = (channelInfo && channelInfo.devName) || `Channel ${channel}`;
+  
+  if (detail.source === 'push') {
+    log.info(`${deviceName} / ${channelName} switched ${state.onoff ? 'ON' : 'OFF'} outside ncSender (button, app or schedule)`);
+    
+    const expectedOn = (settings.commandMappings || []).some(mapping =>
+      mapping.deviceName === deviceName && mapping.channelIndex === channel && mapping.action === 'on');
+    if (jobActive && expectedOn && !state.onoff) {
+      log.warn(`⚠ ${deviceName} / ${channelName} was turned OFF manually while a job is running`);
+    }
+  }
+  
+  const outletStates = settings.outletStates || {};
+  const deviceStates = outletStates[deviceName] || { status: 'ok', channels: {} };
+  deviceStates.status = 'ok';
+  deviceStates.channels = { ...(deviceStates.channels || {}), [channel]: state };
+  deviceStates.at = Date.now();
+  outletStates[deviceName] = deviceStates;
+  
+  settings.outletStates = outletStates;
+  settings.outletStatesAt = Date.now();
+  if (ctx.setSettings) {
+    ctx.setSettings(settings);
+  }
+}
+
+/**
+ * Log a change of the shared MQTT link and store it in settings for the UI,
+ * under every device that is controlled through the cloud
+ */
+async function recordConnectionState(ctx, state, detail = {}) {
+  if (state === 'reconnecting') {
+    log.info(`Meross MQTT reconnect attempt ${detail.attempt} in ${Math.round(detail.delayMs / 1000)}s`);
+  } else if (state === 'offline') {
+    log.warn('Meross MQTT offline');
+  } else {
+    log.info(`Meross MQTT ${state}`);
+  }
+  
+  const cloudDevices = Object.entries(merossDevices)
+    .filter(([_, device]) => device.transportMode !== 'lan')
+    .map(([deviceName, _]) => deviceName);
+  if (cloudDevices.length === 0) return;
+  
+  const settings = await loadSettingsFromAPI(ctx);
+  settings.connectionStates = { ...(settings.connectionStates || {}) };
+  for (const deviceName of cloudDevices) {
+    settings.connectionStates[deviceName] = {
+      state,
+      attempt: detail.attempt || 0,
+      at: Date.now()
+    };
+  }
+  if (ctx.setSettings) {
+    ctx.setSettings(settings);
+  }
+}
+
+/**
+ * Build MerossCloudManager (account session) options from plugin settings
+ */
+function getCloudSessionOptions(settings) {
+  return {
+    ...getCloudOptions(settings),
+    commandQos: settings.confirmDelivery ? 1 : 0,
+    replyTimeoutMs: Math.max(1, settings.deviceReplyTimeout || 5) * 1000,
+    mqtt: {
+      offlineQueue: settings.queueWhileOffline ? {
+        maxSize: 20,
+        ttlMs: Math.max(1, settings.offlineQueueTtl || 15) * 1000
+      } : null
+    }
+  };
+}
+
+/**
+ * Build MerossDevice options for one device from plugin settings
+ */
+function getDeviceOptions(settings, deviceName) {
+  const device = getConfiguredDevices(settings).find(d => d.devName === deviceName);
+  return {
+    transportMode: settings.transportMode,
+    lanHost: (settings.deviceIps || {})[deviceName] || null,
+    knownLanHost: device && device.ip ? device.ip : null,
+    toggleNamespace: getToggleNamespace(device)
+  };
+}
+
+/**
+ * Toggle namespace from a device's stored capabilities, or null if not checked yet
+ */
+function getToggleNamespace(device) {
+  const toggle = device && device.capabilities ? device.capabilities.toggle : null;
+  if (toggle === 'togglex') return MerossDevice.toggleX;
+  if (toggle === 'toggle') return MerossDevice.toggleLegacy;
+  return null;
+}
+
 /**
  * Get default settings structure
  */
 function getDefaultSettings() {
   return {
     merossEmail: '',
-    merossPassword: '',
+    merossPassword: '', // Only set briefly after the dialog saves a new password; sealed by the watcher
+    merossPasswordSealed: null, // Encrypted { email, password }
+    retainPassword: true, // false = keep only the session after the first successful sign-in
+    merossRegion: 'auto', // 'auto', 'us', 'eu' or 'ap'
+    merossDomains: null, // { email, region, domain, mqttDomain } resolved by the last sign-in
+    mfaCode: '', // One-time verification code entered in the dialog; cleared once used
+    merossSession: null, // Encrypted login session, reused across restarts until Meross rejects it
+    connectionMode: 'cloud', // 'cloud' (Meross account) or 'offline' (manually configured LAN devices)
+    offlineDevices: [], // { devName, uuid, ip, channelCount, channelNames } used in offline mode
+    offlineKey: '', // Only set briefly after the dialog saves a new key; sealed by the watcher
+    offlineKeySealed: null, // Encrypted { key }: account key that signs LAN messages in offline mode
+    lastOfflineExport: null,
     discoveredDevices: [], // Array of devices with their channels
     discoverRequestedAt: 0,
     discoverCooldownUntil: 0,
     lastDiscoveryResult: null,
+    connectionStates: {}, // device name -> { state, attempt, at } of the MQTT link
+    connectionError: null, // { code, message, attempts, retryAfterMs, at } when connecting gave up
     minSignalDuration: 250, // milliseconds
+    transportMode: 'auto', // 'auto' (LAN with cloud fallback), 'cloud' or 'lan'
+    deviceIps: {}, // device name -> manually entered LAN IP (overrides the reported one)
+    confirmDelivery: false, // Publish outlet commands at MQTT QoS 1 and wait for PUBACK
+    queueWhileOffline: true, // Hold outlet commands while MQTT reconnects
+    deviceReplyTimeout: 5, // seconds to wait for the device to acknowledge a command
+    logLevel: 'info', // 'error', 'warn', 'info', 'debug' or 'trace'; secrets are always redacted
+    powerPollIntervalSec: 10, // Live power polling of metering plugs; 0 = only on Refresh States
+    lastTestResult: null,
+    outletStates: {}, // device name -> { status, channels: { [channel]: { onoff, lmTime, updatedAt } }, at }
+    outletStatesAt: 0,
+    powerReadings: {}, // device name -> { status, channels: { [channel]: { power, voltage, current, updatedAt } }, todayWh, at }
+    powerReadingsAt: 0,
+    jobEnergyReports: [], // Newest first: { id, startedAt, endedAt, durationMs, reason, totalKWh, accessories: [...] }
+    jobEnergyHistoryLimit: 50, // Reports kept in jobEnergyReports
+    offlineQueueTtl: 15, // seconds a queued command stays valid
     commandMappings: [
       // { deviceName: 'Smart Plug', channelIndex: 1, channelName: 'Filtration', action: 'on', gcodes: ['M8'] }
     ]
   };
 }
 
+/**
+ * The Meross password: decrypted from settings, or a newly entered one not yet sealed
+ */
+function getMerossPassword(settings) {
+  if (settings.merossPassword) {
+    return settings.merossPassword;
+  }
+  const sealed = openJson(settings.merossPasswordSealed);
+  if (!sealed || sealed.email !== settings.merossEmail) {
+    return '';
+  }
+  Logger.addSecret(sealed.password);
+  return sealed.password;
+}
+
+/**
+ * The account key for offline mode: decrypted from settings, or a newly entered one not yet sealed
+ */
+function getOfflineKey(settings) {
+  if (settings.offlineKey) {
+    return settings.offlineKey;
+  }
+  const sealed = openJson(settings.offlineKeySealed);
+  if (!sealed || !sealed.key) {
+    return '';
+  }
+  Logger.addSecret(sealed.key);
+  return sealed.key;
+}
+
+/**
+ * Whether the plugin can sign in: a stored password, or a session for this account
+ */
+function hasMerossCredentials(settings) {
+  if (!settings.merossEmail) return false;
+  if (getMerossPassword(settings)) return true;
+  const auth = MerossCloudManager.sharedAuth;
+  return !!auth && auth.email === settings.merossEmail;
+}
+
+/**
+ * Encrypt a password or offline key the dialog just saved and clear the plaintext copy
+ * With retainPassword off, drop the password once a session for the account exists
+ * Values sealed with the machine-derived key of earlier versions are sealed again
+ */
+async function secureStoredSecrets(ctx) {
+  try {
+    const settings = await loadSettingsFromAPI(ctx);
+    let changed = false;
+    
+    for (const field of ['merossSession', 'merossPasswordSealed', 'offlineKeySealed']) {
+      if (isLegacySealed(settings[field])) {
+        const value = openJson(settings[field]);
+        settings[field] = value ? sealJson(value) : null;
+        changed = true;
+        log.info(`Re-encrypted ${field} with the stored key`);
+      }
+    }
+    
+    if (settings.merossPassword) {
+      settings.merossPasswordSealed = sealJson({ email: settings.merossEmail, password: settings.merossPassword });
+      settings.merossPassword = '';
+      changed = true;
+    }
+    
+    if (settings.offlineKey) {
+      settings.offlineKeySealed = sealJson({ key: settings.offlineKey });
+      settings.offlineKey = '';
+      changed = true;
+    }
+    
+    const auth = MerossCloudManager.sharedAuth;
+    if (settings.retainPassword === false && settings.merossPasswordSealed && auth && auth.email === settings.merossEmail) {
+      settings.merossPasswordSealed = null;
+      changed = true;
+      log.info('Signed in; Meross password discarded (only the session is kept)');
+    }
+    
+    if (changed && ctx.setSettings) {
+      ctx.setSettings(settings);
+    }
+  } catch (error) {
+    log.error('Failed to secure stored secrets:', error.message);
+  }
+}
+
 /**
  * Watch for discovery requests and run without CNC
  */
@@ -184,6 +829,8 @@ function startDiscoveryWatcher(ctx) {
   if (discoveryTimer) return;
   
   discoveryTimer = setInterval(async () => {
+    await secureStoredSecrets(ctx);
+    
     if (discoveryInProgress) return;
     
     if (nextDiscoveryAllowedAt && Date.now() < nextDiscoveryAllowedAt) {
@@ -191,8 +838,7 @@ function startDiscoveryWatcher(ctx) {
     }
     
     const settings = await loadSettingsFromAPI(ctx);
-    const hasCreds = settings.merossEmail && settings.merossPassword;
-    if (!hasCreds) return;
+    if (!hasMerossCredentials(settings)) return;
     
     const requestAt = settings.discoverRequestedAt || 0;
     const cooldownUntil = settings.discoverCooldownUntil || 0;
@@ -208,12 +854,15 @@ function startDiscoveryWatcher(ctx) {
       discoveryBackoffMs = 0;
     } catch (error) {
       const message = error && error.message ? error.message : String(error);
-      ctx.log('Discovery watcher failed:', message);
-      if (message.includes('Beyond Login Limit')) {
+      log.error('Discovery watcher failed:', message);
+      if (error instanceof MerossError && !error.retryable) {
+        // Same request would fail the same way (wrong password...); wait for a new one
+        lastDiscoveryRequest = requestAt;
+      } else if (error instanceof RateLimitedError) {
         // Backoff more aggressively when Meross rate limits
         discoveryBackoffMs = discoveryBackoffMs ? Math.min(discoveryBackoffMs * 2, 15 * 60 * 1000) : 60 * 1000;
-        nextDiscoveryAllowedAt = Date.now() + discoveryBackoffMs;
-        ctx.log(`Discovery paused for ${Math.round(discoveryBackoffMs / 1000)}s due to login limit.`);
+        nextDiscoveryAllowedAt = Date.now() + Math.max(discoveryBackoffMs, error.retryAfterMs || 0);
+        log.warn(`Discovery paused for ${Math.round((nextDiscoveryAllowedAt - Date.now()) / 1000)}s due to login limit.`);
       }
     } finally {
       discoveryInProgress = false;
@@ -223,53 +872,353 @@ function startDiscoveryWatcher(ctx) {
 
 /**
  * Discover devices and save to settings
+ * Sign-in can take a while and the settings change meanwhile (session, sealed password),
+ * so only the fields discovery owns are written, into freshly loaded settings
  */
 async function runDeviceDiscovery(ctx, settings) {
-  ctx.log('Discovering Meross devices...');
+  log.info('Discovering Meross devices...');
   
-  const tempManager = new MerossCloudManager(ctx);
+  const tempManager = new MerossCloudManager(ctx, getCloudOptions(settings));
+  const mfaCode = settings.mfaCode; // Codes expire within seconds, never reuse one
+  let devices;
   try {
-    await tempManager._login(settings.merossEmail, settings.merossPassword);
+    devices = await tempManager.listDevices(settings.merossEmail, getMerossPassword(settings), { mfaCode });
   } catch (error) {
+    if (error instanceof MfaRequiredError) {
+      await recordMfaRequired(ctx, error);
+      throw error;
+    }
+    const latest = await loadSettingsFromAPI(ctx);
     const message = error && error.message ? error.message : String(error);
-    settings.lastDiscoveryResult = {
+    latest.mfaCode = '';
+    latest.lastDiscoveryResult = {
       status: 'error',
+      code: error.code || 'error',
       message: message,
       at: Date.now()
     };
-    if (message.includes('Beyond Login Limit')) {
+    if (error instanceof RateLimitedError) {
       discoveryBackoffMs = discoveryBackoffMs ? Math.min(discoveryBackoffMs * 2, 60 * 60 * 1000) : 10 * 60 * 1000;
-      nextDiscoveryAllowedAt = Date.now() + discoveryBackoffMs;
-      settings.discoverCooldownUntil = nextDiscoveryAllowedAt;
-      if (ctx.setSettings) {
-        ctx.setSettings(settings);
-      }
-      ctx.log(`Discovery paused for ${Math.round(discoveryBackoffMs / 1000)}s due to login limit.`);
+      nextDiscoveryAllowedAt = Date.now() + Math.max(discoveryBackoffMs, error.retryAfterMs || 0);
+      latest.discoverCooldownUntil = nextDiscoveryAllowedAt;
+      log.warn(`Discovery paused for ${Math.round((nextDiscoveryAllowedAt - Date.now()) / 1000)}s due to login limit.`);
+    }
+    if (ctx.setSettings) {
+      ctx.setSettings(latest);
     }
     throw error;
   }
   
-  const devices = await tempManager._getDevices();
+  const latest = await loadSettingsFromAPI(ctx);
+  const resolved = tempManager.getResolvedDomains();
+  latest.mfaCode = '';
+  latest.merossDomains = { email: settings.merossEmail, ...resolved, at: Date.now() };
   
-  settings.discoveredDevices = devices.map(dev => ({
-    devName: dev.devName,
-    deviceType: dev.deviceType,
-    uuid: dev.uuid,
-    channels: dev.channels
-  }));
-  settings.discoverRequestedAt = 0;
-  settings.lastDiscoveryResult = {
+  const previousDevices = latest.discoveredDevices || [];
+  latest.discoveredDevices = devices.map(dev => {
+    const previous = previousDevices.find(d => d.uuid === dev.uuid);
+    return {
+      devName: dev.devName,
+      deviceType: dev.deviceType,
+      uuid: dev.uuid,
+      channels: dev.channels,
+      ip: previous && previous.ip ? previous.ip : null, // Learned from the device on connect
+      capabilities: previous && previous.capabilities ? previous.capabilities : null, // Filled in by probeDeviceCapabilities
+      firmware: previous && previous.firmware ? previous.firmware : null
+    };
+  });
+  latest.discoverRequestedAt = 0;
+  latest.lastDiscoveryResult = {
     status: 'success',
     message: `Found ${devices.length} device(s)`,
     at: Date.now()
   };
   
   if (ctx.setSettings) {
-    ctx.setSettings(settings);
+    ctx.setSettings(latest);
   }
   
   await tempManager.disconnect();
-  ctx.log(`✓ Discovered ${devices.length} device(s)`);
+  log.info(`✓ Discovered ${devices.length} device(s)`);
+  
+  probeDeviceCapabilities(ctx).catch(error => {
+    log.error('Capability check failed:', error.message);
+  });
+  
+  // Startup sign-in was waiting for this code; connect mapped devices with the new login
+  if (mfaCode) {
+    initializeMerossConnection(ctx);
+  }
+}
+
+/**
+ * Ask every discovered device what it supports and which firmware it runs
+ * Results are saved with discoveredDevices; a device that can't be reached keeps what it had
+ */
+async function probeDeviceCapabilities(ctx) {
+  const settings = await loadSettingsFromAPI(ctx);
+  const results = {};
+  
+  for (const device of settings.discoveredDevices || []) {
+    try {
+      results[device.uuid] = await withDeviceHandle(ctx, settings, device.devName, handle => handle.describe());
+      log.info(`${device.devName}: ${describeCapabilities(results[device.uuid])}`);
+    } catch (error) {
+      log.warn(`Could not read capabilities of ${device.devName}:`, error.message);
+    }
+  }
+  
+  const latest = await loadSettingsFromAPI(ctx);
+  for (const device of latest.discoveredDevices || []) {
+    const result = results[device.uuid];
+    if (!result) continue;
+    device.capabilities = { ...result.capabilities, checkedAt: Date.now() };
+    device.firmware = result.firmware;
+    if (result.lanHost) {
+      device.ip = result.lanHost;
+    }
+  }
+  if (ctx.setSettings) {
+    ctx.setSettings(latest);
+  }
+}
+
+/**
+ * Summarize a device description for the log
+ */
+function describeCapabilities(description) {
+  const { capabilities, firmware } = description;
+  const features = [
+    capabilities.toggle ? `on/off (${capabilities.toggle})` : 'no on/off',
+    capabilities.electricity && 'power metering',
+    capabilities.consumption && 'energy history',
+    capabilities.timer && 'timers',
+    capabilities.lan && 'LAN'
+  ].filter(Boolean);
+  return `${features.join(', ')}; firmware ${firmware.version || 'unknown'}`;
+}
+
+/**
+ * Describe a device command result for the log
+ */
+function formatConfirmation(result) {
+  if (result && result.superseded) {
+    return ' (superseded by a newer command)';
+  }
+  return result && result.latencyMs !== null && result.latencyMs !== undefined
+    ? ` (confirmed by device in ${result.latencyMs}ms)`
+    : '';
+}
+
+/**
+ * Return the handle for a device, connecting it first if needed
+ */
+async function getOrConnectDevice(ctx, settings, deviceName) {
+  const device = merossDevices[deviceName];
+  if (device && device.isReady()) {
+    return device;
+  }
+  return connectDevice(ctx, settings, deviceName);
+}
+
+/**
+ * Query every discovered device for its outlet states and store them for the UI
+ */
+async function refreshOutletStates(ctx, settings) {
+  const outletStates = {};
+  
+  for (const device of getConfiguredDevices(settings)) {
+    try {
+      // Reading a plug must not put it under failsafe control
+      await withDeviceHandle(ctx, settings, device.devName, async (handle) => {
+        const state = await handle.getState();
+        outletStates[device.devName] = { status: 'ok', channels: state.channels, at: Date.now() };
+        log.info(`${device.devName}: ${describeChannelStates(state.channels)}`);
+        if (isMeteringDevice(device)) {
+          await readDevicePower(handle, device).catch(error => {
+            log.warn(`Failed to read power of ${device.devName}:`, error.message);
+          });
+        }
+      });
+    } catch (error) {
+      outletStates[device.devName] = { status: 'error', message: error.message, at: Date.now() };
+      log.error(`Failed to read state of ${device.devName}:`, error.message);
+    }
+  }
+  
+  const latest = await loadSettingsFromAPI(ctx);
+  latest.outletStates = outletStates;
+  latest.outletStatesAt = Date.now();
+  latest.powerReadings = powerReadings;
+  latest.powerReadingsAt = Date.now();
+  if (ctx.setSettings) {
+    ctx.setSettings(latest);
+  }
+}
+
+/**
+ * Check whether a device reported live power metering in its capability check
+ */
+function isMeteringDevice(device) {
+  return !!(device && device.capabilities && device.capabilities.electricity);
+}
+
+/**
+ * Poll metering plugs for live power on the configured interval
+ * Only devices of a signed-in session are read; the poller never signs in by itself,
+ * and unmapped plugs are read through temporary handles (no failsafe turn-off)
+ */
+function startPowerPolling(ctx) {
+  if (powerTimer) return;
+  
+  powerTimer = setInterval(async () => {
+    if (powerPollInProgress || !merossCloud || !merossCloud.isReady()) return;
+    
+    powerPollInProgress = true;
+    try {
+      const settings = await loadSettingsFromAPI(ctx);
+      const intervalMs = Math.max(0, Number(settings.powerPollIntervalSec) || 0) * 1000;
+      const devices = getConfiguredDevices(settings).filter(isMeteringDevice);
+      if (!intervalMs || devices.length === 0 || Date.now() - lastPowerPollAt < intervalMs) return;
+      
+      lastPowerPollAt = Date.now();
+      for (const device of devices) {
+        try {
+          await withDeviceHandle(ctx, settings, device.devName, handle => readDevicePower(handle, device));
+        } catch (error) {
+          powerReadings[device.devName] = { ...powerReadings[device.devName], status: 'error', message: error.message, at: Date.now() };
+          log.debug(`Power reading of ${device.devName} failed:`, error.message);
+        }
+      }
+      
+      const latest = await loadSettingsFromAPI(ctx);
+      latest.powerReadings = powerReadings;
+      latest.powerReadingsAt = Date.now();
+      if (ctx.setSettings) {
+        ctx.setSettings(latest);
+      }
+    } catch (error) {
+      log.error('Power polling failed:', error.message);
+    } finally {
+      powerPollInProgress = false;
+    }
+  }, 5000);
+}
+
+/**
+ * Read live power (and, every few minutes, today's energy) of a metering plug into powerReadings
+ */
+async function readDevicePower(handle, device) {
+  const previous = powerReadings[device.devName] || {};
+  const reading = await handle.getElectricity(0);
+  const entry = {
+    status: 'ok',
+    channels: handle.getCachedElectricity(),
+    todayWh: previous.todayWh !== undefined ? previous.todayWh : null,
+    todayWhAt: previous.todayWhAt || 0,
+    at: Date.now()
+  };
+  
+  if (device.capabilities.consumption && Date.now() - entry.todayWhAt > 5 * 60 * 1000) {
+    try {
+      const days = await handle.getConsumption();
+      const today = days.length > 0 ? days[days.length - 1] : null;
+      entry.todayWh = today ? today.wh : null;
+      entry.todayWhAt = Date.now();
+    } catch (error) {
+      log.debug(`Energy history of ${device.devName} unavailable:`, error.message);
+    }
+  }
+  
+  powerReadings[device.devName] = entry;
+  log.debug(`${device.devName}: ${reading && reading.power !== null ? reading.power : '?'} W`);
+  return entry;
+}
+
+/**
+ * Start sampling the metering plugs that have mappings, for the job energy report
+ * Plugs meter the whole device, so each device is one accessory named after its mapped outlets
+ */
+function startJobEnergyMeter(ctx, settings) {
+  stopJobEnergyMeter();
+  
+  const accessories = [];
+  for (const device of getConfiguredDevices(settings).filter(isMeteringDevice)) {
+    const outlets = [...new Set((settings.commandMappings || [])
+      .filter(mapping => mapping.deviceName === device.devName)
+      .map(mapping => mapping.channelName || `Channel ${mapping.channelIndex}`))];
+    if (outlets.length > 0) {
+      accessories.push({ deviceName: device.devName, outlets: outlets.join(', ') });
+    }
+  }
+  if (accessories.length === 0) return;
+  
+  jobEnergyMeter = new JobEnergyMeter({
+    accessories,
+    log,
+    readPower: async (accessory) => {
+      const handle = await getOrConnectDevice(ctx, settings, accessory.deviceName);
+      const reading = await handle.getElectricity(0);
+      return reading ? reading.power : null;
+    }
+  });
+  jobEnergyMeter.start();
+  log.info(`Measuring job energy of ${accessories.map(accessory => accessory.deviceName).join(', ')}`);
+}
+
+/**
+ * Stop the job energy meter; returns its report, or null if nothing was measured
+ */
+function stopJobEnergyMeter(reason) {
+  if (!jobEnergyMeter) return null;
+  
+  const report = jobEnergyMeter.stop(reason);
+  jobEnergyMeter = null;
+  return report;
+}
+
+/**
+ * Log a job energy report and add it to the history shown in the dialog
+ */
+async function saveJobEnergyReport(ctx, report) {
+  for (const accessory of report.accessories) {
+    log.info(`Job energy: ${accessory.deviceName} (${accessory.outlets}) ${accessory.kWh.toFixed(3)} kWh, ` +
+      `ran ${Math.round(accessory.runtimeMs / 1000)}s, peak ${Math.round(accessory.peakWatts)} W`);
+  }
+  
+  const latest = await loadSettingsFromAPI(ctx);
+  const history = [{ id: report.startedAt, ...report }, ...(latest.jobEnergyReports || [])];
+  latest.jobEnergyReports = history.slice(0, Math.max(1, Number(latest.jobEnergyHistoryLimit) || 50));
+  if (ctx.setSettings) {
+    ctx.setSettings(latest);
+  }
+}
+
+/**
+ * Format channel states for the log, e.g. "outlet 1 ON, outlet 2 OFF"
+ */
+function describeChannelStates(channels) {
+  const entries = Object.entries(channels);
+  const outlets = entries.filter(([channel, _]) => Number(channel) > 0);
+  // Channel 0 is the master, unless the plug has no other (single-outlet plug)
+  const parts = (outlets.length > 0 ? outlets : entries)
+    .map(([channel, state]) => `outlet ${channel} ${state.onoff ? 'ON' : 'OFF'}`);
+  return parts.length > 0 ? parts.join(', ') : 'no outlet states reported';
+}
+
+/**
+ * Store the outcome of a Testing tab command so the dialog can show it
+ */
+async function saveTestResult(ctx, result) {
+  try {
+    const settings = await loadSettingsFromAPI(ctx);
+    settings.lastTestResult = { ...result, at: Date.now() };
+    if (ctx.setSettings) {
+      ctx.setSettings(settings);
+    }
+  } catch (error) {
+    log.error('Failed to save test result:', error.message);
+  }
 }
 
 /**
@@ -284,10 +1233,10 @@ function registerCommandHandler(ctx) {
     const commandUpper = command.toUpperCase();
     const normalizedCommand = normalizeGcodeCommand(commandUpper);
 
-    const hasConnectedManagers = Object.values(merossManagers).some(m => m.isConnected());
-    if (!hasConnectedManagers) {
+    const hasConnectedDevices = Object.values(merossDevices).some(device => device.isReady());
+    if (!hasConnectedDevices) {
       await initializeMerossConnection(ctx);
-      const stillNoConnection = Object.values(merossManagers).every(m => !m.isConnected());
+      const stillNoConnection = Object.values(merossDevices).every(device => !device.isReady());
       if (stillNoConnection) {
         return;
       }
@@ -307,7 +1256,7 @@ function registerCommandHandler(ctx) {
 
       if (matches) {
         const channelName = mapping.channelName || `Channel ${mapping.channelIndex}`;
-        ctx.log(`Command matched: ${command} -> ${mapping.deviceName} / ${channelName} ${mapping.action}`);
+        log.info(`Command matched: ${command} -> ${mapping.deviceName} / ${channelName} ${mapping.action}`);
 
         await executeMappingAction(mapping, settings, `Command matched: ${command}`);
       }
@@ -317,23 +1266,23 @@ function registerCommandHandler(ctx) {
   async function executeMappingAction(mapping, settings, reasonLabel) {
     const channelName = mapping.channelName || `Channel ${mapping.channelIndex}`;
     if (reasonLabel) {
-      ctx.log(`${reasonLabel} -> ${mapping.deviceName} / ${channelName} ${mapping.action}`);
+      log.info(`${reasonLabel} -> ${mapping.deviceName} / ${channelName} ${mapping.action}`);
     }
 
-    const manager = merossManagers[mapping.deviceName];
-    if (!manager || !manager.isConnected()) {
-      ctx.log(`Device ${mapping.deviceName} not connected`);
+    const device = merossDevices[mapping.deviceName];
+    if (!device || !device.isReady()) {
+      log.warn(`Device ${mapping.deviceName} not connected`);
       return;
     }
 
     await new Promise(resolve => setTimeout(resolve, settings.minSignalDuration));
 
     if (mapping.action === 'on') {
-      await manager.turnOn(mapping.channelIndex);
-      ctx.log(`${mapping.deviceName} / ${channelName} turned ON`);
+      const result = await device.turnOn(mapping.channelIndex);
+      log.info(`${mapping.deviceName} / ${channelName} turned ON${formatConfirmation(result)}`);
     } else if (mapping.action === 'off') {
-      await manager.turnOff(mapping.channelIndex);
-      ctx.log(`${mapping.deviceName} / ${channelName} turned OFF`);
+      const result = await device.turnOff(mapping.channelIndex);
+      log.info(`${mapping.deviceName} / ${channelName} turned OFF${formatConfirmation(result)}`);
     }
   }
 
@@ -342,8 +1291,8 @@ function registerCommandHandler(ctx) {
     const selected = mappings.filter(mapping => mapping[flagName]);
     if (selected.length === 0) return;
 
-    const hasConnectedManagers = Object.values(merossManagers).some(m => m.isConnected());
-    if (!hasConnectedManagers) {
+    const hasConnectedDevices = Object.values(merossDevices).some(device => device.isReady());
+    if (!hasConnectedDevices) {
       await initializeMerossConnection(ctx);
     }
 
@@ -361,22 +1310,35 @@ function registerCommandHandler(ctx) {
         const command = cmdObj.command.trim();
         // Check if this is a discover devices command
         if (command === '$$DISCOVER_DEVICES$$') {
-          ctx.log('Discovery command detected');
+          log.info('Discovery command detected');
           
           try {
-            if (!settings.merossEmail || !settings.merossPassword) {
-              ctx.log('Meross credentials not configured. Please configure in plugin settings.');
+            if (!hasMerossCredentials(settings)) {
+              log.warn('Meross credentials not configured. Please configure in plugin settings.');
               return [];
             }
             
             await runDeviceDiscovery(ctx, settings);
           } catch (error) {
-            ctx.log(`✗ Discovery failed: ${error.message}`);
+            log.error(`✗ Discovery failed: ${error.message}`);
           }
           
           return []; // Don't send to CNC
         }
         
+        // Copy discovered devices and the signing key for offline mode
+        if (command === '$$EXPORT_OFFLINE$$') {
+          await exportOfflineDevices(ctx, settings);
+          return []; // Don't send to CNC
+        }
+        
+        // Read live outlet states for the Testing tab
+        if (command === '$$REFRESH_STATES$$') {
+          log.info('Outlet state refresh requested');
+          await refreshOutletStates(ctx, settings);
+          return []; // Don't send to CNC
+        }
+        
         // Check for test commands (format: $$TEST_DEVICE_NAME_CHANNEL_ON$$)
         if (command.startsWith('$$TEST_')) {
           const match = command.match(/\$\$TEST_(.+)_(\d+)_(ON|OFF)\$\$/);
@@ -385,28 +1347,30 @@ function registerCommandHandler(ctx) {
             const channelIndex = parseInt(match[2]);
             const turnOn = match[3] === 'ON';
             
-            ctx.log(`Test command detected: ${deviceName} / Channel ${channelIndex} -> ${turnOn ? 'ON' : 'OFF'}`);
+            log.info(`Test command detected: ${deviceName} / Channel ${channelIndex} -> ${turnOn ? 'ON' : 'OFF'}`);
             
             try {
-              let manager = merossManagers[deviceName];
-              if (!manager || !manager.isConnected()) {
-                manager = new MerossCloudManager(ctx);
-                const connected = await manager.connect(settings.merossEmail, settings.merossPassword, deviceName);
-                if (!connected) {
-                  throw new Error(`Device ${deviceName} not connected`);
-                }
-                merossManagers[deviceName] = manager;
-              }
-              
-              if (turnOn) {
-                await manager.turnOn(channelIndex);
-                ctx.log(`✓ Test successful: ${deviceName} / Channel ${channelIndex} turned ON`);
-              } else {
-                await manager.turnOff(channelIndex);
-                ctx.log(`✓ Test successful: ${deviceName} / Channel ${channelIndex} turned OFF`);
-              }
+              const device = await getOrConnectDevice(ctx, settings, deviceName);
+              const result = turnOn
+                ? await device.turnOn(channelIndex)
+                : await device.turnOff(channelIndex);
+              log.info(`✓ Test successful: ${deviceName} / Channel ${channelIndex} turned ${turnOn ? 'ON' : 'OFF'} (${result.latencyMs}ms)`);
+              saveTestResult(ctx, {
+                status: 'success',
+                deviceName,
+                channelIndex,
+                action: turnOn ? 'on' : 'off',
+                latencyMs: result.latencyMs
+              });
             } catch (error) {
-              ctx.log(`✗ Test failed: ${error.message}`);
+              log.error(`✗ Test failed: ${error.message}`);
+              saveTestResult(ctx, {
+                status: 'error',
+                deviceName,
+                channelIndex,
+                action: turnOn ? 'on' : 'off',
+                message: error.message
+              });
             }
             
             // Don't send test commands to CNC
@@ -419,7 +1383,7 @@ function registerCommandHandler(ctx) {
       
       return commands;
     } catch (error) {
-      ctx.log('Error in command handler:', error.message);
+      log.error('Error in command handler:', error.message);
       return commands;
     }
   });
@@ -429,7 +1393,12 @@ function registerCommandHandler(ctx) {
       if (!line || typeof line !== 'string') {
         return line;
       }
+      const jobStarting = !jobActive;
+      jobActive = true;
       const settings = await loadSettingsFromAPI(ctx);
+      if (jobStarting) {
+        startJobEnergyMeter(ctx, settings);
+      }
       const command = line.trim();
       if (!command) {
         return line;
@@ -437,18 +1406,24 @@ function registerCommandHandler(ctx) {
       await processCommandForMappings(command, settings);
       return line;
     } catch (error) {
-      ctx.log('Error in gcode line handler:', error.message);
+      log.error('Error in gcode line handler:', error.message);
       return line;
     }
   });
 
   ctx.registerEventHandler('onAfterJobEnd', async (context) => {
+    jobActive = false;
     try {
-      const settings = await loadSettingsFromAPI(ctx);
       const reason = context && context.reason ? context.reason : 'job end';
+      // Before the job-end mappings switch anything, so they don't count toward the job
+      const report = stopJobEnergyMeter(reason);
+      const settings = await loadSettingsFromAPI(ctx);
       await applyMappingsForFlag(settings, 'triggerOnJobEnd', `Job ${reason}`);
+      if (report) {
+        await saveJobEnergyReport(ctx, report);
+      }
     } catch (error) {
-      ctx.log('Error in job end handler:', error.message);
+      log.error('Error in job end handler:', error.message);
     }
   });
 
@@ -465,7 +1440,7 @@ function registerCommandHandler(ctx) {
         await applyMappingsForFlag(settings, 'triggerOnResume', 'Job resumed');
       }
     } catch (error) {
-      ctx.log('Error in pause/resume handler:', error.message);
+      log.error('Error in pause/resume handler:', error.message);
     }
   });
 }
@@ -483,7 +1458,7 @@ function registerPluginSettings(ctx) {
 
 function showSettingsDialog(ctx) {
   if (!ctx.showDialog) {
-    ctx.log('showDialog not available in this ncSender version.');
+    log.warn('showDialog not available in this ncSender version.');
     return;
   }
 
@@ -677,6 +1652,32 @@ function getConfigUiHtml() {
         text-overflow: ellipsis;
       }
 
+      .outlet-card-state {
+        font-size: 0.75rem;
+        font-weight: 600;
+        color: var(--color-text-secondary);
+      }
+
+      .outlet-card-state.on {
+        color: #2fb36b;
+      }
+
+      .outlet-card-state.off {
+        color: #e25b62;
+      }
+
+      .outlet-card-power {
+        font-size: 0.75rem;
+        color: var(--color-text-secondary);
+      }
+
+      .test-toolbar {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 8px;
+      }
+
       .outlet-card-buttons {
         display: grid;
         grid-template-columns: 1fr 1fr;
@@ -979,6 +1980,26 @@ function getConfigUiHtml() {
         margin-bottom: 6px;
       }
       
+      .device-capabilities {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px;
+        margin-bottom: 6px;
+      }
+      
+      .capability-badge {
+        padding: 1px 6px;
+        border-radius: 8px;
+        border: 1px solid var(--color-border);
+        color: var(--color-text-secondary);
+        font-size: 0.7rem;
+      }
+      
+      .capability-badge.missing {
+        color: var(--color-text-tertiary);
+        text-decoration: line-through;
+      }
+      
       .channel-list {
         margin-left: 16px;
       }
@@ -1085,6 +2106,13 @@ function getConfigUiHtml() {
         min-width: 120px;
       }
       
+      .offline-device-row {
+        display: grid;
+        grid-template-columns: 2fr 3fr 2fr 1fr auto;
+        gap: 8px;
+        margin-bottom: 8px;
+      }
+      
       .connection-status {
         padding: 8px 12px;
         border-radius: 6px;
@@ -1108,11 +2136,22 @@ function getConfigUiHtml() {
         <button class="ms-tab active" data-tab="connection">Connection</button>
         <button class="ms-tab" data-tab="mappings">Mappings</button>
         <button class="ms-tab" data-tab="testing">Testing</button>
+        <button class="ms-tab" data-tab="energy">Energy</button>
       </div>
       
       <div class="ms-tab-content active" id="ms-tab-connection">
         <div class="settings-section">
           <h3>Meross Connection</h3>
+          <div class="form-group">
+            <label for="connectionMode">Connection Mode:</label>
+            <select id="connectionMode" onchange="updateConnectionModeView()">
+              <option value="cloud">Meross account (cloud discovery)</option>
+              <option value="offline">Offline (manually configured devices)</option>
+            </select>
+            <p class="help-text">Offline mode never contacts the Meross cloud. Outlets are controlled over the local network using the devices and key entered below.</p>
+          </div>
+          
+          <div id="cloudSettings">
           <div class="form-group">
             <label for="merossEmail">Meross Email:</label>
             <input type="email" id="merossEmail" placeholder="your.email@example.com">
@@ -1120,8 +2159,33 @@ function getConfigUiHtml() {
           
           <div class="form-group">
             <label for="merossPassword">Meross Password:</label>
-            <input type="password" id="merossPassword" placeholder="Your Meross password">
-            <p class="help-text">Credentials stored locally and used only for Meross cloud connection.</p>
+            <input type="password" id="merossPassword" placeholder="Your Meross password" autocomplete="new-password">
+            <p class="help-text">Stored encrypted on this computer and never shown again; leave blank to keep the current password.</p>
+          </div>
+          
+          <div class="form-group">
+            <label class="job-end-toggle" for="retainPassword">
+              <input type="checkbox" id="retainPassword">
+              Remember password
+            </label>
+            <p class="help-text">When off, the password is discarded after the first sign-in and only the Meross session is kept. You'll need to enter it again if Meross ends the session.</p>
+          </div>
+          
+          <div class="form-group">
+            <label for="merossRegion">Meross Region:</label>
+            <select id="merossRegion">
+              <option value="auto">Automatic</option>
+              <option value="us">Americas (US)</option>
+              <option value="eu">Europe (EU)</option>
+              <option value="ap">Asia-Pacific (AP)</option>
+            </select>
+            <p class="help-text" id="merossDomainsInfo">The region your Meross account was created in. Automatic follows the cloud's redirect to the right region.</p>
+          </div>
+          
+          <div class="form-group" id="mfaGroup" style="display: none;">
+            <label for="mfaCode">Verification Code:</label>
+            <input type="text" id="mfaCode" inputmode="numeric" autocomplete="one-time-code" maxlength="8" placeholder="6-digit code from your authenticator app">
+            <p class="help-text" id="mfaHelp">Your Meross account uses multi-factor authentication. Enter the current code, then click Discover Devices.</p>
           </div>
           
           <div class="form-group">
@@ -1131,11 +2195,79 @@ function getConfigUiHtml() {
             <div id="devicesContainer" class="devices-container"></div>
           </div>
           
+          <div class="form-group">
+            <label for="transportMode">Control Path:</label>
+            <select id="transportMode">
+              <option value="auto">Automatic (LAN first, cloud fallback)</option>
+              <option value="cloud">Meross cloud only</option>
+              <option value="lan">Local network only</option>
+            </select>
+            <p class="help-text">LAN control talks to the outlet directly, so it keeps working during internet or Meross cloud outages. Device IPs are detected automatically or can be entered per device below.</p>
+          </div>
+          </div>
+          
+          <div id="offlineSettings" style="display: none;">
+            <div class="form-group">
+              <label for="offlineKey">Device Key:</label>
+              <input type="password" id="offlineKey" placeholder="Meross account key" autocomplete="new-password">
+              <p class="help-text">The key your Meross account signs device messages with. Use "Copy From Cloud Devices" once while signed in to fill it in.</p>
+            </div>
+            
+            <div class="form-group">
+              <label>Devices:</label>
+              <div id="offlineDevicesContainer"></div>
+              <button class="btn btn-secondary" onclick="addOfflineDevice()">Add Device</button>
+              <button class="btn btn-secondary" id="exportOfflineBtn" onclick="exportOfflineDevices()">Copy From Cloud Devices</button>
+              <div id="offlineExportStatus" class="fetch-status"></div>
+            </div>
+          </div>
+          
           <div class="form-group">
             <label for="minSignalDuration">Min Signal Duration (ms):</label>
             <input type="number" id="minSignalDuration" min="0" step="50" placeholder="250">
             <p class="help-text">Debounce time before activating outlet.</p>
           </div>
+          
+          <div class="form-group">
+            <label class="job-end-toggle" for="confirmDelivery">
+              <input type="checkbox" id="confirmDelivery">
+              Confirm command delivery (MQTT QoS 1)
+            </label>
+            <p class="help-text">Wait for the Meross broker to acknowledge each outlet command and retransmit if it doesn't.</p>
+          </div>
+          
+          <div class="form-group">
+            <label for="deviceReplyTimeout">Device Reply Timeout (s):</label>
+            <input type="number" id="deviceReplyTimeout" min="1" step="1" placeholder="5">
+            <p class="help-text">How long to wait for the outlet to confirm it switched before reporting a failure.</p>
+          </div>
+          
+          <div class="form-group">
+            <label for="powerPollIntervalSec">Power Polling Interval (s):</label>
+            <input type="number" id="powerPollIntervalSec" min="0" step="1" placeholder="10">
+            <p class="help-text">How often plugs with power metering (e.g. MSS310) are read for the live wattage shown in the Testing tab. 0 reads them only on Refresh States.</p>
+          </div>
+          
+          <div class="form-group">
+            <label class="job-end-toggle" for="queueWhileOffline">
+              <input type="checkbox" id="queueWhileOffline">
+              Queue commands while reconnecting
+            </label>
+            <input type="number" id="offlineQueueTtl" min="1" step="1" placeholder="15">
+            <p class="help-text">Commands sent during a brief reconnect are delivered in order once back online. Commands older than this many seconds are dropped, and a newer command for the same outlet replaces a queued one.</p>
+          </div>
+          
+          <div class="form-group">
+            <label for="logLevel">Log Level:</label>
+            <select id="logLevel">
+              <option value="error">Errors only</option>
+              <option value="warn">Warnings</option>
+              <option value="info">Info (default)</option>
+              <option value="debug">Debug</option>
+              <option value="trace">Trace (every MQTT packet and API response)</option>
+            </select>
+            <p class="help-text">How much the plugin writes to the ncSender log. Tokens, keys, passwords, signatures and email addresses are masked at every level.</p>
+          </div>
         </div>
         
         <div class="settings-section">
@@ -1164,12 +2296,31 @@ function getConfigUiHtml() {
           <h3>Test Outlets</h3>
           <p class="help-text">Test each outlet to verify connection. Save settings first!</p>
           
+          <div class="test-toolbar">
+            <button class="btn btn-secondary" id="refreshStatesBtn" onclick="refreshOutletStates()">Refresh States</button>
+            <span class="help-text" id="statesUpdatedAt"></span>
+          </div>
+          
           <div id="outletTestControls"></div>
           
           <div id="testStatus" class="test-status"></div>
         </div>
       </div>
       
+      <div class="ms-tab-content" id="ms-tab-energy">
+        <div class="settings-section">
+          <h3>Job Energy</h3>
+          <p class="help-text">Energy used by mapped accessories on power-metering plugs, measured from job start to job end. An accessory counts as running while it draws power.</p>
+          
+          <div class="test-toolbar">
+            <button class="btn btn-secondary" onclick="refreshJobEnergyReports()">Refresh</button>
+            <button class="btn btn-secondary" onclick="clearJobEnergyReports()">Clear History</button>
+          </div>
+          
+          <div id="jobEnergyReportsContainer"></div>
+        </div>
+      </div>
+      
       <div class="dialog-footer">
         <button class="btn btn-secondary" id="closeBtn">Close</button>
         <button class="btn btn-success" onclick="window.saveAllSettings && window.saveAllSettings()">Save</button>
@@ -1188,12 +2339,56 @@ function getConfigUiHtml() {
           return {
             merossEmail: '',
             merossPassword: '',
+            merossPasswordSealed: null,
+            retainPassword: true,
+            merossRegion: 'auto',
+            connectionMode: 'cloud',
+            offlineDevices: [],
+            offlineKey: '',
+            offlineKeySealed: null,
             discoveredDevices: [],
             minSignalDuration: 250,
+            transportMode: 'auto',
+            deviceIps: {},
+            confirmDelivery: false,
+            queueWhileOffline: true,
+            offlineQueueTtl: 15,
+            deviceReplyTimeout: 5,
+            powerPollIntervalSec: 10,
+            logLevel: 'info',
             commandMappings: []
           };
         }
 
+        // Written only by the plugin (login session, sealed secrets, discovery, live states,
+        // results, reports); the dialog's copy goes stale while it is open, so saves take
+        // them from stored settings
+        const pluginOwnedFields = [
+          'merossSession', 'merossPasswordSealed', 'offlineKeySealed', 'merossDomains',
+          'connectionStates', 'connectionError', 'discoveredDevices', 'lastDiscoveryResult',
+          'discoverCooldownUntil', 'lastOfflineExport', 'lastTestResult',
+          'outletStates', 'outletStatesAt', 'powerReadings', 'powerReadingsAt', 'jobEnergyReports'
+        ];
+        
+        // Save currentSettings (plus overrides) without reverting what the plugin wrote meanwhile
+        async function putSettings(overrides) {
+          const response = await fetch('/api/plugins/' + pluginId + '/settings');
+          if (response.ok) {
+            const latest = await response.json();
+            pluginOwnedFields.forEach(field => {
+              if (field in latest) {
+                currentSettings[field] = latest[field];
+              }
+            });
+          }
+          Object.assign(currentSettings, overrides || {});
+          return fetch('/api/plugins/' + pluginId + '/settings', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(currentSettings)
+          });
+        }
+
         function initTabs() {
           const tabs = document.querySelectorAll('.ms-tab');
           const contents = document.querySelectorAll('.ms-tab-content');
@@ -1234,8 +2429,29 @@ function getConfigUiHtml() {
         // Render settings form
         function renderSettings() {
           document.getElementById('merossEmail').value = currentSettings.merossEmail || '';
-          document.getElementById('merossPassword').value = currentSettings.merossPassword || '';
+          document.getElementById('merossPassword').value = '';
+          document.getElementById('merossPassword').placeholder = hasStoredPassword()
+            ? 'Password set (leave blank to keep)'
+            : (currentSettings.merossSession ? 'Not stored (signed in with saved session)' : 'Your Meross password');
+          document.getElementById('retainPassword').checked = currentSettings.retainPassword !== false;
+          document.getElementById('merossRegion').value = currentSettings.merossRegion || 'auto';
+          showMfaPrompt(currentSettings.lastDiscoveryResult);
+          if (currentSettings.merossDomains && currentSettings.merossDomains.domain) {
+            document.getElementById('merossDomainsInfo').textContent =
+              'Signed in at ' + currentSettings.merossDomains.domain + ' (MQTT: ' + (currentSettings.merossDomains.mqttDomain || 'default') + ').';
+          }
           document.getElementById('minSignalDuration').value = currentSettings.minSignalDuration || 250;
+          document.getElementById('transportMode').value = currentSettings.transportMode || 'auto';
+          document.getElementById('confirmDelivery').checked = !!currentSettings.confirmDelivery;
+          document.getElementById('deviceReplyTimeout').value = currentSettings.deviceReplyTimeout || 5;
+          document.getElementById('powerPollIntervalSec').value = currentSettings.powerPollIntervalSec !== undefined ? currentSettings.powerPollIntervalSec : 10;
+          document.getElementById('logLevel').value = currentSettings.logLevel || 'info';
+          document.getElementById('queueWhileOffline').checked = currentSettings.queueWhileOffline !== false;
+          document.getElementById('offlineQueueTtl').value = currentSettings.offlineQueueTtl || 15;
+          document.getElementById('connectionMode').value = currentSettings.connectionMode || 'cloud';
+          renderOfflineKey();
+          renderOfflineDevices();
+          updateConnectionModeView();
           
           // Show discovered devices if available
           if (currentSettings.discoveredDevices && currentSettings.discoveredDevices.length > 0) {
@@ -1243,25 +2459,208 @@ function getConfigUiHtml() {
           }
           
           renderCommandMappings();
+          renderJobEnergyReports();
+        }
+        
+        // The password itself never comes back; only whether one is stored
+        function hasStoredPassword() {
+          return !!currentSettings.merossPasswordSealed || !!currentSettings.merossPassword;
+        }
+        
+        // Same for the offline key: the field stays empty and only says whether one is stored
+        function renderOfflineKey() {
+          const input = document.getElementById('offlineKey');
+          input.value = '';
+          input.placeholder = (currentSettings.offlineKeySealed || currentSettings.offlineKey)
+            ? 'Key set (leave blank to keep)'
+            : 'Meross account key';
+        }
+        
+        // Devices to offer, in the same shape as discovered devices (mirrors getConfiguredDevices)
+        function getDevices() {
+          if (currentSettings.connectionMode !== 'offline') {
+            return currentSettings.discoveredDevices || [];
+          }
+          return (currentSettings.offlineDevices || []).map(device => {
+            const channelCount = Math.max(1, parseInt(device.channelCount) || 1);
+            const names = device.channelNames || [];
+            const channels = channelCount === 1 ? [{ devName: names[0] || '' }] : [{}];
+            for (let i = 1; channelCount > 1 && i <= channelCount; i++) {
+              channels.push({ devName: names[i - 1] || ('Outlet ' + i) });
+            }
+            return { devName: device.devName, deviceType: device.deviceType || 'manual', uuid: device.uuid, ip: device.ip, channels: channels };
+          });
+        }
+        
+        // Outlet channels of a device (mirrors MerossDevice.outletChannels): channel 0
+        // is the master, unless it is the only channel of a single-outlet plug
+        function getOutletChannels(device) {
+          const count = device.channels ? device.channels.length : 0;
+          if (count <= 1) return [0];
+          const result = [];
+          for (let i = 1; i < count; i++) result.push(i);
+          return result;
+        }
+        
+        // Devices without a capability check yet are assumed to switch like any plug
+        function canSwitch(device) {
+          return !device.capabilities || !!device.capabilities.toggle;
+        }
+        
+        // Note listing devices left out of a tab because they can't switch outlets
+        function unsupportedDevicesNote(devices) {
+          const names = devices.filter(device => !canSwitch(device)).map(device => device.devName);
+          if (names.length === 0) return '';
+          return '<p style="color: var(--color-text-tertiary); font-size: 0.8rem;">Not shown (no on/off support): ' + names.join(', ') + '</p>';
+        }
+        
+        function getOutletName(device, chIndex) {
+          const channel = (device.channels || [])[chIndex] || {};
+          return channel.devName || (chIndex === 0 ? 'Outlet' : 'Outlet ' + chIndex);
+        }
+        
+        window.updateConnectionModeView = function() {
+          const offline = document.getElementById('connectionMode').value === 'offline';
+          document.getElementById('cloudSettings').style.display = offline ? 'none' : '';
+          document.getElementById('offlineSettings').style.display = offline ? '' : 'none';
+        };
+        
+        // Render the editable offline device list
+        function renderOfflineDevices() {
+          const container = document.getElementById('offlineDevicesContainer');
+          const devices = currentSettings.offlineDevices || [];
+          container.innerHTML = '';
+          
+          if (devices.length === 0) {
+            container.innerHTML = '<p class="help-text">No devices yet. Add one, or copy them from a previous cloud discovery.</p>';
+            return;
+          }
+          
+          devices.forEach((device, index) => {
+            const row = document.createElement('div');
+            row.className = 'offline-device-row';
+            row.setAttribute('data-index', index);
+            
+            [
+              ['devName', 'Device name', device.devName],
+              ['uuid', 'UUID', device.uuid],
+              ['ip', 'LAN IP', device.ip],
+              ['channelCount', 'Outlets', device.channelCount || 1]
+            ].forEach(([field, placeholder, value]) => {
+              const input = document.createElement('input');
+              input.type = field === 'channelCount' ? 'number' : 'text';
+              if (field === 'channelCount') input.min = '1';
+              input.setAttribute('data-field', field);
+              input.placeholder = placeholder;
+              input.value = value || '';
+              row.appendChild(input);
+            });
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary';
+            removeBtn.textContent = '×';
+            removeBtn.addEventListener('click', () => {
+              readOfflineDevices();
+              currentSettings.offlineDevices.splice(index, 1);
+              renderOfflineDevices();
+            });
+            row.appendChild(removeBtn);
+            
+            container.appendChild(row);
+          });
+        }
+        
+        // Copy the offline device rows back into currentSettings
+        function readOfflineDevices() {
+          const previous = currentSettings.offlineDevices || [];
+          currentSettings.offlineDevices = Array.from(document.querySelectorAll('.offline-device-row')).map(row => {
+            const entry = Object.assign({}, previous[parseInt(row.getAttribute('data-index'))] || {});
+            row.querySelectorAll('input').forEach(input => {
+              const field = input.getAttribute('data-field');
+              entry[field] = field === 'channelCount'
+                ? Math.max(1, parseInt(input.value) || 1)
+                : input.value.trim();
+            });
+            return entry;
+          });
         }
         
+        window.addOfflineDevice = function() {
+          readOfflineDevices();
+          currentSettings.offlineDevices.push({ devName: '', uuid: '', ip: '', channelCount: 1 });
+          renderOfflineDevices();
+        };
+        
+        // Ask the plugin to copy discovered devices and the account key, then wait for them
+        window.exportOfflineDevices = async function() {
+          const exportBtn = document.getElementById('exportOfflineBtn');
+          const exportStatus = document.getElementById('offlineExportStatus');
+          const previous = currentSettings.lastOfflineExport;
+          const previousAt = previous ? previous.at : 0;
+          
+          exportBtn.disabled = true;
+          exportStatus.textContent = 'Copying devices...';
+          exportStatus.className = 'fetch-status show loading';
+          
+          try {
+            const response = await fetch('/api/send-command', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ command: '$$EXPORT_OFFLINE$$' })
+            });
+            if (!response.ok) {
+              throw new Error('Failed to request export');
+            }
+            
+            let result = null;
+            for (let attempt = 0; attempt < 10 && !result; attempt++) {
+              await new Promise(resolve => setTimeout(resolve, 1000));
+              const latest = await fetch('/api/plugins/' + pluginId + '/settings');
+              if (latest.ok) {
+                const settings = await latest.json();
+                if (settings.lastOfflineExport && settings.lastOfflineExport.at !== previousAt) {
+                  result = settings.lastOfflineExport;
+                  currentSettings.lastOfflineExport = result;
+                  if (result.status !== 'error') {
+                    currentSettings.offlineDevices = settings.offlineDevices || [];
+                    currentSettings.offlineKey = '';
+                    currentSettings.offlineKeySealed = settings.offlineKeySealed || null;
+                    renderOfflineKey();
+                    renderOfflineDevices();
+                  }
+                }
+              }
+            }
+            
+            if (!result) {
+              throw new Error('No response from plugin. Make sure it is loaded.');
+            }
+            exportStatus.textContent = result.message;
+            exportStatus.className = 'fetch-status show ' + (result.status === 'error' ? 'error' : 'success');
+          } catch (error) {
+            exportStatus.textContent = 'Error: ' + error.message;
+            exportStatus.className = 'fetch-status show error';
+          } finally {
+            exportBtn.disabled = false;
+          }
+        };
+        
         // Render outlet test controls based on discovered devices
         function renderOutletTests() {
           const container = document.getElementById('outletTestControls');
-          const devices = currentSettings.discoveredDevices || [];
+          const devices = getDevices();
           
           if (devices.length === 0) {
             container.innerHTML = '<p style="color: var(--color-text-secondary);">Please discover devices first</p>';
             return;
           }
           
-          container.innerHTML = '';
+          container.innerHTML = unsupportedDevicesNote(devices);
           container.className = 'outlet-grid';
           
-          devices.forEach(device => {
-            // Channel cards (skip master channel at index 0)
-            device.channels.forEach((channel, chIndex) => {
-              if (chIndex === 0) return; // Skip master
+          devices.filter(canSwitch).forEach(device => {
+            // Channel cards (the master channel only for single-outlet plugs)
+            getOutletChannels(device).forEach(chIndex => {
               
               const card = document.createElement('div');
               card.className = 'outlet-card';
@@ -1272,7 +2671,27 @@ function getConfigUiHtml() {
               
               const nameLabel = document.createElement('div');
               nameLabel.className = 'outlet-card-name';
-              nameLabel.textContent = channel.devName || ('Outlet ' + chIndex);
+              nameLabel.textContent = getOutletName(device, chIndex);
+              
+              const stateLabel = document.createElement('div');
+              const deviceStates = (currentSettings.outletStates || {})[device.devName];
+              const channelState = deviceStates && deviceStates.channels ? deviceStates.channels[chIndex] : null;
+              if (deviceStates && deviceStates.status === 'error') {
+                stateLabel.className = 'outlet-card-state';
+                stateLabel.textContent = 'State unavailable';
+                stateLabel.title = deviceStates.message || '';
+              } else if (channelState) {
+                stateLabel.className = 'outlet-card-state ' + (channelState.onoff ? 'on' : 'off');
+                stateLabel.textContent = channelState.onoff ? '● ON' : '○ OFF';
+              } else {
+                stateLabel.className = 'outlet-card-state';
+                stateLabel.textContent = 'State unknown';
+              }
+              
+              const powerLabel = document.createElement('div');
+              powerLabel.className = 'outlet-card-power';
+              powerLabel.setAttribute('data-device', device.devName);
+              powerLabel.setAttribute('data-channel', chIndex);
               
               const buttons = document.createElement('div');
               buttons.className = 'outlet-card-buttons';
@@ -1292,10 +2711,145 @@ function getConfigUiHtml() {
               
               card.appendChild(deviceLabel);
               card.appendChild(nameLabel);
+              card.appendChild(stateLabel);
+              if (device.capabilities && device.capabilities.electricity) {
+                card.appendChild(powerLabel);
+              }
               card.appendChild(buttons);
               container.appendChild(card);
             });
           });
+          renderPowerReadings();
+        }
+        
+        // Power reading for an outlet; plugs meter the whole device as channel 0, which
+        // multi-outlet plugs show on every card as the device total
+        function getOutletPowerReading(device, chIndex) {
+          const readings = (currentSettings.powerReadings || {})[device.devName];
+          if (!readings || !readings.channels) return null;
+          if (readings.channels[chIndex]) return { reading: readings.channels[chIndex], deviceTotal: false };
+          if (!readings.channels[0]) return null;
+          return { reading: readings.channels[0], deviceTotal: getOutletChannels(device).length > 1 };
+        }
+        
+        // Fill the power line of every outlet card from currentSettings.powerReadings
+        function renderPowerReadings() {
+          document.querySelectorAll('.outlet-card-power').forEach(label => {
+            const device = getDevices().find(d => d.devName === label.getAttribute('data-device'));
+            if (!device) return;
+            const readings = (currentSettings.powerReadings || {})[device.devName];
+            const outletReading = getOutletPowerReading(device, parseInt(label.getAttribute('data-channel')));
+            const reading = outletReading ? outletReading.reading : null;
+            if (readings && readings.status === 'error') {
+              label.textContent = 'Power unavailable';
+              label.title = readings.message || '';
+            } else if (reading && reading.power !== null) {
+              label.textContent = '⚡ ' + reading.power.toFixed(1) + ' W' + (outletReading.deviceTotal ? ' (device total)' : '');
+              const details = [];
+              if (reading.voltage !== null) details.push(reading.voltage.toFixed(1) + ' V');
+              if (reading.current !== null) details.push(reading.current.toFixed(3) + ' A');
+              if (readings.todayWh !== null && readings.todayWh !== undefined) details.push('today ' + (readings.todayWh / 1000).toFixed(2) + ' kWh');
+              label.title = (outletReading.deviceTotal ? 'Whole plug, all outlets: ' : '') + details.join(', ') + ' at ' + new Date(reading.updatedAt).toLocaleTimeString();
+            } else {
+              label.textContent = '⚡ -- W';
+              label.title = 'No power reading yet';
+            }
+          });
+        }
+        
+        // Pick up readings from the plugin's power poller while the dialog is open
+        async function pollPowerReadings() {
+          if (!document.querySelector('.outlet-card-power')) return;
+          try {
+            const response = await fetch('/api/plugins/' + pluginId + '/settings');
+            if (!response.ok) return;
+            const settings = await response.json();
+            if (settings.powerReadingsAt && settings.powerReadingsAt !== currentSettings.powerReadingsAt) {
+              currentSettings.powerReadings = settings.powerReadings;
+              currentSettings.powerReadingsAt = settings.powerReadingsAt;
+              renderPowerReadings();
+            }
+          } catch (error) {
+            // Next poll tries again
+          }
+        }
+        
+        function renderStatesUpdatedAt() {
+          const label = document.getElementById('statesUpdatedAt');
+          const at = currentSettings.outletStatesAt;
+          label.textContent = at ? 'Updated ' + new Date(at).toLocaleTimeString() : '';
+        }
+        
+        // Ask the plugin to read live outlet states and wait for them
+        window.refreshOutletStates = async function() {
+          const refreshBtn = document.getElementById('refreshStatesBtn');
+          const label = document.getElementById('statesUpdatedAt');
+          const previousAt = currentSettings.outletStatesAt || 0;
+          
+          refreshBtn.disabled = true;
+          label.textContent = 'Reading outlet states...';
+          
+          try {
+            const response = await fetch('/api/send-command', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ command: '$$REFRESH_STATES$$' })
+            });
+            if (!response.ok) {
+              throw new Error('Failed to request outlet states');
+            }
+            
+            for (let attempt = 0; attempt < 15; attempt++) {
+              await new Promise(resolve => setTimeout(resolve, 1000));
+              const latest = await fetch('/api/plugins/' + pluginId + '/settings');
+              if (latest.ok) {
+                const settings = await latest.json();
+                if (settings.outletStatesAt && settings.outletStatesAt !== previousAt) {
+                  currentSettings.outletStates = settings.outletStates;
+                  currentSettings.outletStatesAt = settings.outletStatesAt;
+                  currentSettings.powerReadings = settings.powerReadings;
+                  currentSettings.powerReadingsAt = settings.powerReadingsAt;
+                  break;
+                }
+              }
+            }
+            
+            renderOutletTests();
+            renderStatesUpdatedAt();
+          } catch (error) {
+            label.textContent = 'Error: ' + error.message;
+          } finally {
+            refreshBtn.disabled = false;
+          }
+        };
+        
+        // Show the verification code field while the last sign-in asked for one
+        function showMfaPrompt(result) {
+          const needed = !!result && result.status === 'mfa_required';
+          document.getElementById('mfaGroup').style.display = needed ? '' : 'none';
+          if (needed) {
+            document.getElementById('mfaHelp').textContent = result.message + '. Then click Discover Devices.';
+          }
+        }
+        
+        // Explain a stored Meross error ({ code, message, retryAfterMs, at }) by its kind
+        function describeMerossError(entry) {
+          const waitMs = entry.retryAfterMs ? entry.at + entry.retryAfterMs - Date.now() : 0;
+          switch (entry.code) {
+            case 'rate_limited':
+              return 'Meross login limit reached' + (waitMs > 0 ? ', try again in ' + Math.ceil(waitMs / 60000) + ' min' : '');
+            case 'auth_failed':
+              return 'Meross rejected the email or password';
+            case 'password_required':
+              return 'Meross session expired, enter your password';
+            case 'mfa_required':
+              return 'Verification code needed, enter it and discover devices';
+            case 'network':
+            case 'timeout':
+              return 'Meross cloud unreachable (' + entry.message + ')';
+            default:
+              return entry.message;
+          }
         }
         
         // Fetch devices from Meross
@@ -1307,7 +2861,7 @@ function getConfigUiHtml() {
           const email = document.getElementById('merossEmail').value;
           const password = document.getElementById('merossPassword').value;
           
-          if (!email || !password) {
+          if (!email || (!password && !hasStoredPassword() && !currentSettings.merossSession)) {
             fetchStatus.textContent = 'Please enter email and password first';
             fetchStatus.className = 'fetch-status show error';
             return;
@@ -1335,15 +2889,19 @@ function getConfigUiHtml() {
             }
             
             // Save credentials and request discovery without CNC
+            const mfaInput = document.getElementById('mfaCode');
+            const requestedAt = Date.now();
             currentSettings.merossEmail = email;
-            currentSettings.merossPassword = password;
-            currentSettings.discoverRequestedAt = Date.now();
+            if (password) {
+              currentSettings.merossPassword = password;
+            }
+            currentSettings.retainPassword = document.getElementById('retainPassword').checked;
+            currentSettings.merossRegion = document.getElementById('merossRegion').value;
+            currentSettings.mfaCode = mfaInput.value.trim();
+            currentSettings.discoverRequestedAt = requestedAt;
+            mfaInput.value = '';
             
-            await fetch('/api/plugins/' + pluginId + '/settings', {
-              method: 'PUT',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify(currentSettings)
-            });
+            await putSettings();
             
             // Poll for discovered devices
             let attempts = 0;
@@ -1355,6 +2913,11 @@ function getConfigUiHtml() {
                 const settings = await response.json();
                 currentSettings = settings;
                 
+                const result = settings.lastDiscoveryResult;
+                if (result && result.status === 'mfa_required' && result.at >= requestedAt) {
+                  break;
+                }
+                
                 if (settings.discoveredDevices && settings.discoveredDevices.length > 0) {
                   renderDiscoveredDevices(settings.discoveredDevices);
                   fetchStatus.textContent = 'Found ' + settings.discoveredDevices.length + ' device(s)';
@@ -1365,11 +2928,16 @@ function getConfigUiHtml() {
               attempts++;
             }
             
+            showMfaPrompt(found ? null : currentSettings.lastDiscoveryResult);
+            if (found) {
+              waitForCapabilities(requestedAt).catch(() => {});
+            }
+            
             if (!found) {
               const lastResult = currentSettings.lastDiscoveryResult;
               if (lastResult && lastResult.message) {
                 const ageSec = Math.max(0, Math.round((Date.now() - lastResult.at) / 1000));
-                fetchStatus.textContent = 'Discovery result: ' + lastResult.message + ' (' + ageSec + 's ago)';
+                fetchStatus.textContent = 'Discovery result: ' + describeMerossError(lastResult) + ' (' + ageSec + 's ago)';
               } else {
                 fetchStatus.textContent = 'No devices found yet. Check logs for details.';
               }
@@ -1398,23 +2966,38 @@ function getConfigUiHtml() {
             
             const type = document.createElement('div');
             type.className = 'device-type';
-            type.textContent = device.deviceType + ' (' + (device.channels.length - 1) + ' outlets)';
+            const outletCount = getOutletChannels(device).length;
+            type.textContent = device.deviceType + ' (' + outletCount + ' outlet' + (outletCount > 1 ? 's' : '') + ')';
+            
+            const ipRow = document.createElement('div');
+            ipRow.className = 'form-group';
+            const ipInput = document.createElement('input');
+            ipInput.type = 'text';
+            ipInput.className = 'device-ip-input';
+            ipInput.setAttribute('data-device', device.devName);
+            ipInput.value = (currentSettings.deviceIps || {})[device.devName] || '';
+            ipInput.placeholder = device.ip ? 'LAN IP (detected: ' + device.ip + ')' : 'LAN IP (auto-detect)';
+            ipRow.appendChild(ipInput);
+            
+            const capabilities = document.createElement('div');
+            capabilities.className = 'device-capabilities';
+            renderCapabilityBadges(capabilities, device);
             
             card.appendChild(header);
             card.appendChild(type);
+            card.appendChild(capabilities);
+            card.appendChild(ipRow);
             
-            // Render channels (skip index 0 which is master)
-            if (device.channels && device.channels.length > 1) {
+            // Render outlet channels (the master channel only for single-outlet plugs)
+            if (device.channels && device.channels.length > 0) {
               const channelList = document.createElement('div');
               channelList.className = 'channel-list';
               
-              device.channels.forEach((channel, index) => {
-                if (index === 0) return; // Skip master channel
-                
+              getOutletChannels(device).forEach(index => {
                 const channelItem = document.createElement('div');
                 channelItem.className = 'channel-item';
                 channelItem.innerHTML =
-                  '<span class="channel-name">' + (channel.devName || 'Outlet ' + index) + '</span>' +
+                  '<span class="channel-name">' + getOutletName(device, index) + '</span>' +
                   '<span style="color: var(--color-text-tertiary);"> (Channel ' + index + ')</span>';
                 channelList.appendChild(channelItem);
               });
@@ -1428,6 +3011,124 @@ function getConfigUiHtml() {
           container.className = 'devices-container show';
         }
         
+        // The plugin checks capabilities right after discovery; show them once every device answered
+        async function waitForCapabilities(requestedAt) {
+          for (let attempt = 0; attempt < 15; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            const response = await fetch('/api/plugins/' + pluginId + '/settings');
+            if (!response.ok) continue;
+            const settings = await response.json();
+            const devices = settings.discoveredDevices || [];
+            const checked = devices.every(device => device.capabilities && device.capabilities.checkedAt >= requestedAt);
+            if (checked || attempt === 14) {
+              currentSettings = settings;
+              renderDiscoveredDevices(devices);
+              renderCommandMappings();
+              renderOutletTests();
+              return;
+            }
+          }
+        }
+        
+        // Badges for what the device supports, filled in after discovery by the capability check
+        function renderCapabilityBadges(container, device) {
+          const caps = device.capabilities;
+          if (!caps) {
+            container.innerHTML = '<span class="capability-badge">Capabilities not checked yet</span>';
+            return;
+          }
+          const badges = [
+            ['On/Off', !!caps.toggle],
+            ['Power', !!caps.electricity],
+            ['Energy', !!caps.consumption],
+            ['Timers', !!caps.timer],
+            ['LAN', !!caps.lan]
+          ];
+          badges.forEach(([label, supported]) => {
+            const badge = document.createElement('span');
+            badge.className = 'capability-badge' + (supported ? '' : ' missing');
+            badge.textContent = label;
+            container.appendChild(badge);
+          });
+          if (device.firmware && device.firmware.version) {
+            const firmware = document.createElement('span');
+            firmware.className = 'capability-badge';
+            firmware.textContent = 'FW ' + device.firmware.version;
+            container.appendChild(firmware);
+          }
+        }
+        
+        function formatDuration(ms) {
+          const seconds = Math.round((ms || 0) / 1000);
+          const hours = Math.floor(seconds / 3600);
+          const minutes = Math.floor((seconds % 3600) / 60);
+          return (hours > 0 ? hours + 'h ' : '') + minutes + 'm ' + (seconds % 60) + 's';
+        }
+        
+        // Table cell with a second, smaller line; set as text so names are never parsed as HTML
+        function fillTwoLineCell(cell, text, detail) {
+          cell.textContent = text;
+          cell.appendChild(document.createElement('br'));
+          const detailSpan = document.createElement('span');
+          detailSpan.className = 'help-text';
+          detailSpan.textContent = detail;
+          cell.appendChild(detailSpan);
+        }
+        
+        // Render the per-job energy history, newest first
+        // Job reasons and device/outlet names come from outside the dialog, so rows are built as DOM text
+        function renderJobEnergyReports() {
+          const container = document.getElementById('jobEnergyReportsContainer');
+          const reports = currentSettings.jobEnergyReports || [];
+          
+          if (reports.length === 0) {
+            container.innerHTML = '<p style="color: var(--color-text-secondary);">No jobs measured yet. Map an outlet of a plug with power metering and run a job.</p>';
+            return;
+          }
+          
+          const table = document.createElement('table');
+          table.className = 'mapping-table';
+          const headRow = table.createTHead().insertRow();
+          ['Job', 'Accessory', 'Energy', 'Runtime', 'Peak', 'Samples'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headRow.appendChild(th);
+          });
+          
+          const body = table.createTBody();
+          reports.forEach(report => {
+            (report.accessories || []).forEach((accessory, index) => {
+              const row = body.insertRow();
+              const jobCell = row.insertCell();
+              if (index === 0) {
+                fillTwoLineCell(jobCell, new Date(report.startedAt).toLocaleString(), formatDuration(report.durationMs) + ', ' + report.reason);
+              }
+              fillTwoLineCell(row.insertCell(), accessory.deviceName, accessory.outlets);
+              row.insertCell().textContent = accessory.kWh.toFixed(3) + ' kWh';
+              row.insertCell().textContent = formatDuration(accessory.runtimeMs);
+              row.insertCell().textContent = Math.round(accessory.peakWatts) + ' W';
+              row.insertCell().textContent = accessory.samples + (accessory.missedSamples ? ' (' + accessory.missedSamples + ' missed)' : '');
+            });
+          });
+          
+          container.innerHTML = '';
+          container.appendChild(table);
+        }
+        
+        window.refreshJobEnergyReports = async function() {
+          const response = await fetch('/api/plugins/' + pluginId + '/settings');
+          if (response.ok) {
+            const settings = await response.json();
+            currentSettings.jobEnergyReports = settings.jobEnergyReports || [];
+          }
+          renderJobEnergyReports();
+        };
+        
+        window.clearJobEnergyReports = async function() {
+          await putSettings({ jobEnergyReports: [] });
+          renderJobEnergyReports();
+        };
+        
         // Check connection status
         window.checkConnection = async function() {
           const statusDot = document.getElementById('statusDot');
@@ -1441,13 +3142,27 @@ function getConfigUiHtml() {
             const response = await fetch('/api/plugins/' + pluginId + '/settings');
             if (response.ok) {
               const settings = await response.json();
-              const hasCredentials = settings.merossEmail && settings.merossPassword;
-              const hasDevices = settings.discoveredDevices && settings.discoveredDevices.length > 0;
+              const offline = settings.connectionMode === 'offline';
+              const configuredDevices = offline ? (settings.offlineDevices || []) : (settings.discoveredDevices || []);
+              const hasCredentials = offline
+                ? !!(settings.offlineKeySealed || settings.offlineKey)
+                : (settings.merossEmail && (settings.merossPasswordSealed || settings.merossPassword || settings.merossSession));
+              const hasDevices = configuredDevices.length > 0;
               const hasMappings = settings.commandMappings && settings.commandMappings.length > 0;
               
-              if (hasCredentials && hasDevices && hasMappings) {
+              const reconnecting = Object.entries(settings.connectionStates || {})
+                .filter(([_, entry]) => entry && entry.state !== 'online')
+                .map(([deviceName, _]) => deviceName);
+              
+              if (hasCredentials && hasMappings && settings.connectionError) {
+                statusDot.className = 'status-dot disconnected';
+                statusText.textContent = 'Connection failed: ' + describeMerossError(settings.connectionError);
+              } else if (hasCredentials && hasDevices && hasMappings && reconnecting.length > 0) {
+                statusDot.className = 'status-dot';
+                statusText.textContent = 'Reconnecting to Meross (' + reconnecting.join(', ') + ')';
+              } else if (hasCredentials && hasDevices && hasMappings) {
                 // Show number of devices configured
-                const deviceCount = settings.discoveredDevices.length;
+                const deviceCount = configuredDevices.length;
                 statusDot.className = 'status-dot connected';
                 statusText.textContent = 'Connected (' + deviceCount + ' device' + (deviceCount > 1 ? 's' : '') + ')';
               } else if (hasCredentials && hasDevices) {
@@ -1455,7 +3170,7 @@ function getConfigUiHtml() {
                 statusText.textContent = 'Devices discovered, add mappings';
               } else if (hasCredentials) {
                 statusDot.className = 'status-dot';
-                statusText.textContent = 'Credentials set, discover devices';
+                statusText.textContent = offline ? 'Key set, add devices' : 'Credentials set, discover devices';
               } else {
                 statusDot.className = 'status-dot disconnected';
                 statusText.textContent = 'Not configured';
@@ -1482,6 +3197,11 @@ function getConfigUiHtml() {
           testStatus.className = 'test-status show';
           
           try {
+            // Remember the previous result so we can tell when the plugin reports this one
+            const before = await fetch('/api/plugins/' + pluginId + '/settings');
+            const previousResult = before.ok ? (await before.json()).lastTestResult : null;
+            const previousAt = previousResult ? previousResult.at : 0;
+            
             // Send a console command to test the outlet
             // Format: $$TEST_Device_Name_1_ON$$ (spaces in device name replaced with underscores)
             const deviceNameFormatted = deviceName.replace(/\s/g, '_');
@@ -1496,11 +3216,35 @@ function getConfigUiHtml() {
               throw new Error('Failed to send test command');
             }
             
-            // Wait a moment for the command to execute
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            // Poll for the device's confirmation
+            let result = null;
+            for (let attempt = 0; attempt < 12 && !result; attempt++) {
+              await new Promise(resolve => setTimeout(resolve, 1000));
+              const latest = await fetch('/api/plugins/' + pluginId + '/settings');
+              if (latest.ok) {
+                const settings = await latest.json();
+                if (settings.lastTestResult && settings.lastTestResult.at !== previousAt) {
+                  result = settings.lastTestResult;
+                }
+              }
+            }
             
-            testStatus.textContent = '✓ Test command sent. Check plugin logs for confirmation.';
-            testStatus.className = 'test-status success show';
+            if (!result) {
+              testStatus.textContent = '✓ Test command sent. Check plugin logs for confirmation.';
+              testStatus.className = 'test-status success show';
+            } else if (result.status === 'success') {
+              testStatus.textContent = '✓ Device confirmed ' + (turnOn ? 'ON' : 'OFF') + ' in ' + result.latencyMs + 'ms';
+              testStatus.className = 'test-status success show';
+              
+              // Reflect the confirmed state on the card
+              const outletStates = currentSettings.outletStates = currentSettings.outletStates || {};
+              const deviceStates = outletStates[deviceName] = outletStates[deviceName] || { status: 'ok', channels: {} };
+              deviceStates.channels = deviceStates.channels || {};
+              deviceStates.channels[channelIndex] = { onoff: turnOn ? 1 : 0, updatedAt: Date.now() };
+              renderOutletTests();
+            } else {
+              throw new Error(result.message || 'Device did not confirm');
+            }
           } catch (error) {
             testStatus.textContent = '✗ Error: ' + error.message + '. Make sure plugin is loaded and connected.';
             testStatus.className = 'test-status error show';
@@ -1544,7 +3288,7 @@ function getConfigUiHtml() {
         // Render command mappings (table view)
         function renderCommandMappings() {
           const container = document.getElementById('commandMappingsContainer');
-          const devices = currentSettings.discoveredDevices || [];
+          const devices = getDevices();
           
           if (devices.length === 0) {
             container.innerHTML = '<p style="color: var(--color-text-secondary);">Please discover devices first</p>';
@@ -1554,14 +3298,11 @@ function getConfigUiHtml() {
           let rowIndex = 0;
           const rowsHtml = [];
 
-          devices.forEach(device => {
+          devices.filter(canSwitch).forEach(device => {
             const deviceName = device.devName;
             const deviceNameEsc = String(deviceName || '').replace(/'/g, "\\'");
-            const channels = device.channels || [];
-
-            channels.forEach((channel, chIndex) => {
-              if (chIndex === 0) return;
-              const channelName = channel.devName || ('Outlet ' + chIndex);
+            getOutletChannels(device).forEach(chIndex => {
+              const channelName = getOutletName(device, chIndex);
               const channelNameEsc = String(channelName || '').replace(/'/g, "\\'");
 
               ['on', 'off'].forEach(action => {
@@ -1618,7 +3359,7 @@ function getConfigUiHtml() {
             });
           });
 
-          container.innerHTML =
+          container.innerHTML = unsupportedDevicesNote(devices) +
             '<table class="mapping-table">' +
               '<thead>' +
                 '<tr>' +
@@ -1686,18 +3427,41 @@ function getConfigUiHtml() {
         // Save all settings
         window.saveAllSettings = function() {
           currentSettings.merossEmail = document.getElementById('merossEmail').value;
-          currentSettings.merossPassword = document.getElementById('merossPassword').value;
+          const password = document.getElementById('merossPassword').value;
+          if (password) {
+            currentSettings.merossPassword = password; // Encrypted by the plugin right after saving
+          }
+          currentSettings.retainPassword = document.getElementById('retainPassword').checked;
+          currentSettings.merossRegion = document.getElementById('merossRegion').value;
           currentSettings.minSignalDuration = parseInt(document.getElementById('minSignalDuration').value);
+          currentSettings.transportMode = document.getElementById('transportMode').value;
+          currentSettings.deviceIps = currentSettings.deviceIps || {};
+          document.querySelectorAll('.device-ip-input').forEach(input => {
+            const deviceName = input.getAttribute('data-device');
+            const ip = input.value.trim();
+            if (ip) {
+              currentSettings.deviceIps[deviceName] = ip;
+            } else {
+              delete currentSettings.deviceIps[deviceName];
+            }
+          });
+          currentSettings.confirmDelivery = document.getElementById('confirmDelivery').checked;
+          currentSettings.deviceReplyTimeout = parseInt(document.getElementById('deviceReplyTimeout').value) || 5;
+          const powerPollInterval = parseInt(document.getElementById('powerPollIntervalSec').value);
+          currentSettings.powerPollIntervalSec = Number.isFinite(powerPollInterval) ? Math.max(0, powerPollInterval) : 10;
+          currentSettings.logLevel = document.getElementById('logLevel').value;
+          currentSettings.queueWhileOffline = document.getElementById('queueWhileOffline').checked;
+          currentSettings.offlineQueueTtl = parseInt(document.getElementById('offlineQueueTtl').value) || 15;
+          currentSettings.connectionMode = document.getElementById('connectionMode').value;
+          const offlineKey = document.getElementById('offlineKey').value.trim();
+          if (offlineKey) {
+            currentSettings.offlineKey = offlineKey; // Encrypted by the plugin right after saving
+          }
+          readOfflineDevices();
           
           const saveStatus = document.getElementById('saveStatus');
           
-          fetch('/api/plugins/' + pluginId + '/settings', {
-            method: 'PUT',
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(currentSettings)
-          })
+          putSettings()
           .then(response => {
             if (!response.ok) {
               throw new Error('Failed to save settings');
@@ -1727,7 +3491,9 @@ function getConfigUiHtml() {
         // Render outlet tests after settings load
         setTimeout(() => {
           renderOutletTests();
+          renderStatesUpdatedAt();
         }, 100);
+        setInterval(pollPowerReadings, 5000);
       })();
     </script>
   `;
@@ -1737,19 +3503,36 @@ function getConfigUiHtml() {
  * Plugin cleanup
  */
 export function onUnload(ctx) {
-  ctx.log('Meross Smart Outlet Controller shutting down...');
+  log.info('Meross Smart Outlet Controller shutting down...');
   
   if (discoveryTimer) {
     clearInterval(discoveryTimer);
     discoveryTimer = null;
   }
   
-  // Disconnect from all devices and turn off all outlets (failsafe)
-  for (const [deviceName, manager] of Object.entries(merossManagers)) {
-    manager.disconnect().catch(error => {
-      ctx.log(`Error disconnecting from ${deviceName}:`, error.message);
-    });
+  if (powerTimer) {
+    clearInterval(powerTimer);
+    powerTimer = null;
+  }
+  
+  stopJobEnergyMeter('plugin unloaded');
+  
+  MerossCloudManager.onSessionChange = null;
+  
+  // Stop connection attempts still waiting to retry
+  if (connectionAbort) {
+    connectionAbort.abort();
+    connectionAbort = null;
   }
   
-  ctx.log('Meross Smart Outlet Controller unloaded');
+  // Turn off all outlets (failsafe), then close the shared MQTT connection
+  const devices = Object.entries(merossDevices);
+  const cloud = merossCloud;
+  merossDevices = {};
+  merossCloud = null;
+  Promise.all(devices.map(([deviceName, device]) => device.disconnect().catch(error => {
+    log.error(`Error disconnecting from ${deviceName}:`, error.message);
+  }))).then(() => cloud && cloud.disconnect());
+  
+  log.info('Meross Smart Outlet Controller unloaded');
 }
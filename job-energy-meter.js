@@ -0,0 +1,142 @@
+/*
+ * Job Energy Meter
+ * Samples the power of metered accessories while a job runs and sums it up
+ *
+ * Energy is integrated between samples (trapezoid rule); after the last sample
+ * the last reading is assumed to hold until the job ends, so stopping never
+ * waits for a device. An accessory counts as running while it draws at least
+ * activeWatts. Failed readings are skipped and counted in the report.
+ */
+
+class JobEnergyMeter {
+  /**
+   * @param {Object} options
+   * @param {Array} options.accessories - [{ deviceName, outlets }] to sample; outlets names what is plugged in
+   * @param {Function} options.readPower - async (accessory) => watts, or null if unknown
+   * @param {number} [options.sampleIntervalMs=5000] - Time between samples
+   * @param {number} [options.activeWatts=2] - Draw above which an accessory counts as running
+   * @param {Logger} [options.log] - Logger for failed samples
+   */
+  constructor(options) {
+    this.accessories = options.accessories.map(accessory => ({
+      ...accessory,
+      wh: 0,
+      runtimeMs: 0,
+      peakWatts: 0,
+      samples: 0,
+      missedSamples: 0,
+      lastWatts: null,
+      lastAt: null
+    }));
+    this.readPower = options.readPower;
+    this.sampleIntervalMs = options.sampleIntervalMs || 5000;
+    this.activeWatts = options.activeWatts !== undefined ? options.activeWatts : 2;
+    this.log = options.log || null;
+    this.startedAt = null;
+    this.endedAt = null;
+    this.timer = null;
+    this.sampling = false;
+  }
+
+  /**
+   * Take the first sample now and keep sampling until stop()
+   */
+  start() {
+    this.startedAt = Date.now();
+    this.sample();
+    this.timer = setInterval(() => this.sample(), this.sampleIntervalMs);
+  }
+
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Read every accessory once; skipped while the previous round is still in flight
+   */
+  async sample() {
+    if (this.sampling) return;
+
+    this.sampling = true;
+    try {
+      for (const accessory of this.accessories) {
+        try {
+          const watts = await this.readPower(accessory);
+          if (this.endedAt !== null) return; // Reading arrived after the job ended
+          if (watts === null || watts === undefined || !Number.isFinite(Number(watts))) {
+            accessory.missedSamples++;
+            continue;
+          }
+          this._addSample(accessory, Number(watts), Date.now());
+        } catch (error) {
+          accessory.missedSamples++;
+          if (this.log) {
+            this.log.debug(`Energy sample of ${accessory.deviceName} failed:`, error.message);
+          }
+        }
+      }
+    } finally {
+      this.sampling = false;
+    }
+  }
+
+  /**
+   * Stop sampling and return the report
+   * Returns { startedAt, endedAt, durationMs, reason, totalKWh, accessories: [{ deviceName, outlets, kWh, runtimeMs, peakWatts, samples, missedSamples }] }
+   */
+  stop(reason = 'job end') {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const endedAt = Date.now();
+    this.endedAt = endedAt;
+    this.startedAt = this.startedAt || endedAt;
+    const accessories = this.accessories.map(accessory => {
+      if (accessory.lastAt !== null && endedAt > accessory.lastAt) {
+        this._addSample(accessory, accessory.lastWatts, endedAt, false);
+      }
+      return {
+        deviceName: accessory.deviceName,
+        outlets: accessory.outlets,
+        kWh: accessory.wh / 1000,
+        runtimeMs: accessory.runtimeMs,
+        peakWatts: accessory.peakWatts,
+        samples: accessory.samples,
+        missedSamples: accessory.missedSamples
+      };
+    });
+
+    return {
+      startedAt: this.startedAt,
+      endedAt,
+      durationMs: endedAt - this.startedAt,
+      reason,
+      totalKWh: accessories.reduce((sum, accessory) => sum + accessory.kWh, 0),
+      accessories
+    };
+  }
+
+  /**
+   * Add the energy drawn since the previous sample; counted = false only extends to the end time
+   */
+  _addSample(accessory, watts, at, counted = true) {
+    if (accessory.lastAt !== null) {
+      const elapsedMs = at - accessory.lastAt;
+      const averageWatts = (accessory.lastWatts + watts) / 2;
+      accessory.wh += averageWatts * elapsedMs / 3600000;
+      if (averageWatts >= this.activeWatts) {
+        accessory.runtimeMs += elapsedMs;
+      }
+    }
+    if (counted) {
+      accessory.samples++;
+      accessory.peakWatts = Math.max(accessory.peakWatts, watts);
+    }
+    accessory.lastWatts = watts;
+    accessory.lastAt = at;
+  }
+}
+
+export default JobEnergyMeter;
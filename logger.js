@@ -0,0 +1,104 @@
+/*
+ * Logger
+ * Leveled logging to ctx.log with automatic redaction of secrets
+ *
+ * One level applies to the whole plugin (error, warn, info, debug, trace);
+ * messages above it are dropped before they are formatted. Everything that is
+ * logged passes through redact(): registered secrets (token, key, password...)
+ * are replaced wherever they appear, secret-looking JSON and key=value fields
+ * are masked by name, and email addresses keep only their first character.
+ */
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3, trace: 4 };
+const REDACTED = '[redacted]';
+
+// Field names whose values are never logged
+const SECRET_FIELDS = 'token|password|passwd|sign|signature|mfaCode|offlineKey|offlineKeySealed|accountKey|merossPassword|merossSession|merossPasswordSealed';
+// A bare "key" is common in ordinary text ("key: Enter", "key=outlet"), so it is only
+// masked as a JSON field, which is how Meross responses carry the account key
+const JSON_FIELD_PATTERN = new RegExp(`("(?:key|${SECRET_FIELDS})"\\s*:\\s*)"(?:[^"\\\\]|\\\\.)*"`, 'gi');
+const ASSIGNMENT_PATTERN = new RegExp(`\\b(${SECRET_FIELDS})(\\s*[=:]\\s*)(?!\\[redacted\\])[^\\s,;&"'}]+`, 'gi');
+const AUTH_HEADER_PATTERN = /\b(Basic|Bearer)\s+[A-Za-z0-9._~+/=-]+/g;
+const EMAIL_PATTERN = /\b([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})\b/g;
+
+class Logger {
+  static levels = LEVELS;
+  static level = 'info';
+  static secrets = new Set(); // Exact values to redact wherever they appear
+
+  /**
+   * Set the plugin-wide level; unknown values fall back to 'info'
+   */
+  static setLevel(level) {
+    Logger.level = LEVELS[level] !== undefined ? level : 'info';
+  }
+
+  /**
+   * Register a secret so it is redacted from every later log line
+   * Very short values are ignored; they would mangle ordinary text
+   */
+  static addSecret(value) {
+    if (typeof value === 'string' && value.length >= 6) {
+      Logger.secrets.add(value);
+    }
+  }
+
+  static removeSecret(value) {
+    Logger.secrets.delete(value);
+  }
+
+  /**
+   * Mask secrets and email addresses in a piece of text
+   */
+  static redact(text) {
+    let result = String(text);
+    for (const secret of Logger.secrets) {
+      result = result.split(secret).join(REDACTED);
+    }
+    return result
+      .replace(JSON_FIELD_PATTERN, `$1"${REDACTED}"`)
+      .replace(ASSIGNMENT_PATTERN, `$1$2${REDACTED}`)
+      .replace(AUTH_HEADER_PATTERN, `$1 ${REDACTED}`)
+      .replace(EMAIL_PATTERN, '$1***@$2');
+  }
+
+  /**
+   * @param {Object} ctx - Plugin context; messages are dropped while it is null
+   */
+  constructor(ctx) {
+    this.ctx = ctx;
+  }
+
+  /**
+   * Check whether messages at this level are currently logged
+   * Use it to skip building expensive debug output
+   */
+  isEnabled(level) {
+    return LEVELS[level] <= LEVELS[Logger.level];
+  }
+
+  error(...args) { this._write('error', args); }
+  warn(...args) { this._write('warn', args); }
+  info(...args) { this._write('info', args); }
+  debug(...args) { this._write('debug', args); }
+  trace(...args) { this._write('trace', args); }
+
+  _write(level, args) {
+    if (!this.ctx || !this.ctx.log || !this.isEnabled(level)) return;
+
+    const text = args.map(arg => {
+      if (arg instanceof Error) return arg.message;
+      if (arg !== null && typeof arg === 'object') {
+        try {
+          return JSON.stringify(arg);
+        } catch (error) {
+          return String(arg);
+        }
+      }
+      return String(arg);
+    }).join(' ');
+    this.ctx.log(Logger.redact(text));
+  }
+}
+
+export default Logger;
@@ -0,0 +1,346 @@
+/*
+ * In-memory MQTT broker stand-in
+ * Speaks just enough MQTT 3.1.1 to exercise SimpleMqttClient offline:
+ * CONNECT, SUBSCRIBE, UNSUBSCRIBE, PUBLISH (QoS 0/1), PINGREQ and DISCONNECT.
+ *
+ * Usage:
+ *   const broker = new MemoryMqttBroker();
+ *   const client = new SimpleMqttClient({ ..., transport: () => broker.createConnection() });
+ *
+ * The test suite (`npm test`, test/*.test.js) runs the MQTT client and the cloud
+ * manager against it.
+ *
+ * Events:
+ *   'connect' (clientId, username)  - a client sent CONNECT
+ *   'publish' (topic, payload, qos, dup) - a client published; payload is a Buffer,
+ *                                         dup is set on retransmissions
+ */
+
+import { Duplex } from 'stream';
+import { EventEmitter } from 'events';
+
+/**
+ * Create two connected in-memory streams: what one writes, the other reads
+ */
+function createStreamPair() {
+  let left = null;
+  let right = null;
+
+  const makeSide = (getPeer) => new Duplex({
+    read() {},
+    write(chunk, encoding, callback) {
+      const peer = getPeer();
+      if (peer && !peer.destroyed) {
+        peer.push(chunk);
+      }
+      callback();
+    },
+    final(callback) {
+      const peer = getPeer();
+      if (peer && !peer.destroyed) {
+        peer.push(null);
+      }
+      callback();
+    }
+  });
+
+  left = makeSide(() => right);
+  right = makeSide(() => left);
+
+  // Losing one end takes the other one down, like a dropped TCP connection
+  left.on('close', () => right.destroy());
+  right.on('close', () => left.destroy());
+
+  return [left, right];
+}
+
+/**
+ * Check an MQTT topic filter (with + and # wildcards) against a topic
+ */
+function topicMatches(filter, topic) {
+  const filterParts = filter.split('/');
+  const topicParts = topic.split('/');
+
+  for (let i = 0; i < filterParts.length; i++) {
+    if (filterParts[i] === '#') return true;
+    if (i >= topicParts.length) return false;
+    if (filterParts[i] !== '+' && filterParts[i] !== topicParts[i]) return false;
+  }
+  return filterParts.length === topicParts.length;
+}
+
+class MemoryMqttBroker extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} [options.username] - Required username, if set
+   * @param {string} [options.password] - Required password, if set
+   * @param {boolean} [options.respondToPings=true] - false simulates a half-open connection
+   * @param {string[]} [options.refuseTopics] - Topic filters to refuse with SUBACK 0x80
+   * @param {number} [options.dropPubacks=0] - Swallow this many PUBACKs, like a lossy link
+   */
+  constructor(options = {}) {
+    super();
+    this.username = options.username;
+    this.password = options.password;
+    this.respondToPings = options.respondToPings !== false;
+    this.refuseTopics = options.refuseTopics || [];
+    this.dropPubacks = options.dropPubacks || 0;
+    this.sessions = new Set();
+  }
+
+  /**
+   * Open a new client connection; pass this as the client's transport factory
+   */
+  createConnection() {
+    const [clientSide, brokerSide] = createStreamPair();
+    const session = {
+      stream: brokerSide,
+      clientId: null,
+      subscriptions: new Map(), // filter -> granted QoS
+      inbound: Buffer.alloc(0),
+      nextPacketId: 1
+    };
+
+    this.sessions.add(session);
+    brokerSide.on('data', (chunk) => this._handleData(session, chunk));
+    brokerSide.on('end', () => brokerSide.end());
+    brokerSide.on('close', () => this.sessions.delete(session));
+
+    return clientSide;
+  }
+
+  /**
+   * Publish a message to every subscribed client
+   * Objects are sent as JSON, like the Meross cloud does
+   */
+  publish(topic, message) {
+    const payload = Buffer.isBuffer(message)
+      ? message
+      : Buffer.from(typeof message === 'string' ? message : JSON.stringify(message));
+
+    for (const session of this.sessions) {
+      for (const filter of session.subscriptions.keys()) {
+        if (topicMatches(filter, topic)) {
+          this._write(session, 0x30, Buffer.concat([encodeString(topic), payload]));
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Drop every connection without a DISCONNECT, like a network failure
+   */
+  dropConnections() {
+    for (const session of this.sessions) {
+      session.stream.destroy();
+    }
+  }
+
+  /**
+   * Buffer data from a client and handle each complete packet
+   */
+  _handleData(session, chunk) {
+    session.inbound = Buffer.concat([session.inbound, chunk]);
+
+    while (session.inbound.length >= 2) {
+      let remainingLength = 0;
+      let multiplier = 1;
+      let offset = 1;
+      let complete = false;
+
+      while (offset < session.inbound.length && offset <= 4) {
+        const byte = session.inbound[offset++];
+        remainingLength += (byte & 0x7F) * multiplier;
+        multiplier *= 128;
+        if ((byte & 0x80) === 0) {
+          complete = true;
+          break;
+        }
+      }
+
+      if (!complete || session.inbound.length < offset + remainingLength) break;
+
+      const firstByte = session.inbound[0];
+      const body = session.inbound.subarray(offset, offset + remainingLength);
+      session.inbound = session.inbound.subarray(offset + remainingLength);
+      this._handlePacket(session, firstByte >> 4, firstByte & 0x0F, body);
+    }
+  }
+
+  /**
+   * Handle one client packet
+   */
+  _handlePacket(session, packetType, flags, body) {
+    switch (packetType) {
+      case 1: // CONNECT
+        this._handleConnect(session, body);
+        break;
+      case 3: // PUBLISH
+        this._handlePublish(session, flags, body);
+        break;
+      case 4: // PUBACK from client, nothing to track
+        break;
+      case 8: // SUBSCRIBE
+        this._handleSubscribe(session, body);
+        break;
+      case 10: // UNSUBSCRIBE
+        this._handleUnsubscribe(session, body);
+        break;
+      case 12: // PINGREQ
+        if (this.respondToPings) {
+          this._write(session, 0xD0, Buffer.alloc(0));
+        }
+        break;
+      case 14: // DISCONNECT
+        session.stream.end();
+        break;
+      default:
+        session.stream.destroy();
+    }
+  }
+
+  _handleConnect(session, body) {
+    // Variable header: protocol name, level, flags, keepalive
+    let offset = 2 + body.readUInt16BE(0) + 1;
+    const connectFlags = body[offset];
+    offset += 3;
+
+    const clientId = readString(body, offset);
+    offset = clientId.next;
+
+    let username = null;
+    let password = null;
+    if (connectFlags & 0x80) {
+      const field = readString(body, offset);
+      username = field.value;
+      offset = field.next;
+    }
+    if (connectFlags & 0x40) {
+      const field = readString(body, offset);
+      password = field.value;
+      offset = field.next;
+    }
+
+    const badCredentials = (this.username !== undefined && username !== this.username) ||
+      (this.password !== undefined && password !== this.password);
+
+    // CONNACK: session present = 0, return code 0 (accepted) or 4 (bad credentials)
+    this._write(session, 0x20, Buffer.from([0x00, badCredentials ? 4 : 0]));
+
+    if (badCredentials) {
+      session.stream.end();
+      return;
+    }
+
+    session.clientId = clientId.value;
+    this.emit('connect', clientId.value, username);
+  }
+
+  _handlePublish(session, flags, body) {
+    const qos = (flags >> 1) & 0x03;
+    const topic = readString(body, 0);
+    let offset = topic.next;
+
+    let packetId = null;
+    if (qos > 0) {
+      packetId = body.readUInt16BE(offset);
+      offset += 2;
+    }
+
+    const payload = body.subarray(offset);
+    this.emit('publish', topic.value, payload, qos, (flags & 0x08) !== 0);
+
+    if (qos === 1 && this.dropPubacks > 0) {
+      this.dropPubacks--;
+    } else if (qos === 1) {
+      this._write(session, 0x40, Buffer.from([packetId >> 8, packetId & 0xFF]));
+    }
+
+    this.publish(topic.value, payload);
+  }
+
+  _handleSubscribe(session, body) {
+    const packetId = body.readUInt16BE(0);
+    const granted = [];
+    let offset = 2;
+
+    while (offset < body.length) {
+      const filter = readString(body, offset);
+      const requestedQos = body[filter.next];
+      offset = filter.next + 1;
+
+      if (this.refuseTopics.some(refused => topicMatches(refused, filter.value))) {
+        granted.push(0x80);
+        continue;
+      }
+
+      // QoS 1 is the highest this stand-in delivers
+      const qos = Math.min(requestedQos, 1);
+      session.subscriptions.set(filter.value, qos);
+      granted.push(qos);
+    }
+
+    this._write(session, 0x90, Buffer.from([packetId >> 8, packetId & 0xFF, ...granted]));
+  }
+
+  _handleUnsubscribe(session, body) {
+    const packetId = body.readUInt16BE(0);
+    let offset = 2;
+
+    while (offset < body.length) {
+      const filter = readString(body, offset);
+      session.subscriptions.delete(filter.value);
+      offset = filter.next;
+    }
+
+    this._write(session, 0xB0, Buffer.from([packetId >> 8, packetId & 0xFF]));
+  }
+
+  /**
+   * Write a packet with the given first byte and body to a client
+   */
+  _write(session, firstByte, body) {
+    if (session.stream.destroyed) return;
+    session.stream.write(Buffer.concat([Buffer.from([firstByte]), encodeLength(body.length), body]));
+  }
+}
+
+/**
+ * Encode a string with length prefix
+ */
+function encodeString(str) {
+  const strBuf = Buffer.from(str, 'utf8');
+  const lenBuf = Buffer.alloc(2);
+  lenBuf.writeUInt16BE(strBuf.length, 0);
+  return Buffer.concat([lenBuf, strBuf]);
+}
+
+/**
+ * Read a length-prefixed string, returning its value and the offset after it
+ */
+function readString(buffer, offset) {
+  const length = buffer.readUInt16BE(offset);
+  return {
+    value: buffer.toString('utf8', offset + 2, offset + 2 + length),
+    next: offset + 2 + length
+  };
+}
+
+/**
+ * Encode remaining length (variable length encoding)
+ */
+function encodeLength(length) {
+  const bytes = [];
+  do {
+    let byte = length % 128;
+    length = Math.floor(length / 128);
+    if (length > 0) {
+      byte |= 0x80;
+    }
+    bytes.push(byte);
+  } while (length > 0);
+  return Buffer.from(bytes);
+}
+
+export default MemoryMqttBroker;
@@ -1,42 +1,132 @@
 /*
  * Meross Cloud Manager
- * Handles connection and control of Meross devices via the Meross cloud
+ * Account-level session with the Meross cloud
  * 
- * Uses HTTP API for login/device list, MQTT for device control
+ * Uses HTTP API for login/device list and a single MQTT connection shared by
+ * every device of the account; commands and replies are multiplexed by device
+ * UUID and message ID. Per-device control lives in MerossDevice handles.
  * Based on reverse-engineered Meross protocol
  */
 
 import crypto from 'crypto';
 import https from 'https';
+import { EventEmitter } from 'events';
 import SimpleMqttClient from './simple-mqtt-client.js';
+import MerossDevice from './meross-device.js';
+import RetryPolicy from './retry-policy.js';
+import Logger from './logger.js';
+import {
+  fromApiStatus,
+  AuthExpiredError,
+  DeviceNotFoundError,
+  DeviceOfflineError,
+  NetworkError,
+  PasswordRequiredError,
+  ProtocolError,
+  RateLimitedError,
+  TimeoutError,
+  WrongRegionError
+} from './meross-errors.js';
 
-class MerossCloudManager {
-  constructor(ctx) {
+/**
+ * Events:
+ *   'connectionState' (state, detail) - MQTT link changed: 'online', 'offline' or 'reconnecting'
+ */
+class MerossCloudManager extends EventEmitter {
+  constructor(ctx, options = {}) {
+    super();
     this.ctx = ctx;
-    this.baseUrl = 'https://iotx-us.meross.com';
+    this.log = new Logger(ctx);
+    this.commandQos = options.commandQos === 1 ? 1 : 0; // 1 = wait for broker PUBACK
+    this.mqttOptions = options.mqtt || {}; // Extra SimpleMqttClient options (transport, tls, offlineQueue)
+    this.replyTimeoutMs = options.replyTimeoutMs || 5000; // How long to wait for the device's ACK
+    this.pendingReplies = new Map(); // Meross messageId -> command awaiting the device's reply
+    this.devices = new Map(); // uuid -> MerossDevice handle
+    this.deviceList = []; // Devices of the account from devList
+    this.offline = false; // Manually configured devices, no cloud account involved
+    this.region = MerossCloudManager.regions[options.region] ? options.region : 'auto';
+    const regionDomains = MerossCloudManager.regions[this.region === 'auto' ? 'us' : this.region];
+    const knownDomains = options.knownDomains || {}; // Domains resolved by an earlier sign-in
+    this.baseUrl = knownDomains.domain || regionDomains.domain;
     this.token = null;
     this.key = null;
     this.userId = null;
-    this.device = null;
-    this.mqttDomain = null;
+    this.mqttDomain = knownDomains.mqttDomain || null;
+    this.defaultMqttDomain = regionDomains.mqttDomain; // Used when sign-in doesn't name a broker
     this.mqttClient = null;
+    this.mqttConnecting = null; // In-flight connectMqtt, shared by devices connecting at once
     this.connected = false;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
-    this.reconnectBackoff = 5000; // 5 seconds
+    // Bounds connect(): a RetryPolicy, or options for one
+    this.retryPolicy = options.retryPolicy instanceof RetryPolicy
+      ? options.retryPolicy
+      : new RetryPolicy(options.retryPolicy);
   }
 
+  /**
+   * Meross cloud endpoints per account region
+   * The sign-in response (or a redirect) names the exact domains; these are starting points
+   */
+  static regions = {
+    us: { domain: 'https://iotx-us.meross.com', mqttDomain: 'mqtt-us-4.meross.com' },
+    eu: { domain: 'https://iotx-eu.meross.com', mqttDomain: 'mqtt-eu-3.meross.com' },
+    ap: { domain: 'https://iotx-ap.meross.com', mqttDomain: 'mqtt-ap-3.meross.com' }
+  };
+  
   // Shared auth cache to avoid repeated logins
+  // Reused until Meross rejects the token; persisted through onSessionChange
   static sharedAuth = null;
   static loginPromise = null;
-  static loginTtlMs = 6 * 60 * 60 * 1000; // 6 hours
   static loginBlockedUntil = 0;
+  static onSessionChange = null; // (session | null) => void, called when login state changes
+  static loginBlockMs = 12 * 60 * 60 * 1000; // Pause after Meross rate-limits logins
 
   static clearSharedAuth() {
     MerossCloudManager.sharedAuth = null;
     MerossCloudManager.loginPromise = null;
+    MerossCloudManager._sessionChanged();
   }
-
+  
+  /**
+   * Restore a session saved by onSessionChange after a restart
+   * Returns true when a usable login was restored
+   */
+  static restoreSession(session) {
+    if (!session || typeof session !== 'object') return false;
+    
+    if (Number(session.loginBlockedUntil) > Date.now()) {
+      MerossCloudManager.loginBlockedUntil = Number(session.loginBlockedUntil);
+    }
+    
+    const valid = ['email', 'token', 'key', 'domain'].every(field => typeof session[field] === 'string' && session[field]) &&
+      Number.isFinite(session.lastLoginAt);
+    if (!valid) return false;
+    
+    Logger.addSecret(session.token);
+    Logger.addSecret(session.key);
+    MerossCloudManager.sharedAuth = {
+      email: session.email,
+      token: session.token,
+      key: session.key,
+      userId: session.userId,
+      region: session.region || 'auto',
+      mqttDomain: session.mqttDomain || null,
+      domain: session.domain,
+      lastLoginAt: session.lastLoginAt
+    };
+    return true;
+  }
+  
+  /**
+   * Report the current login and login block to onSessionChange
+   */
+  static _sessionChanged() {
+    if (typeof MerossCloudManager.onSessionChange !== 'function') return;
+    
+    const auth = MerossCloudManager.sharedAuth;
+    const blockedUntil = MerossCloudManager.loginBlockedUntil > Date.now() ? MerossCloudManager.loginBlockedUntil : 0;
+    MerossCloudManager.onSessionChange(auth || blockedUntil ? { ...auth, loginBlockedUntil: blockedUntil } : null);
+  }
+  
   /**
    * Throttle Meross HTTP requests to avoid rate limits
    * Conservative default: 1 request per 10 seconds
@@ -45,14 +135,12 @@ class MerossCloudManager {
   static httpLastRequestAt = 0;
   static httpQueue = Promise.resolve();
 
-  static async _throttleHttpRequest(ctx) {
+  static async _throttleHttpRequest(log) {
     const now = Date.now();
     const elapsed = now - MerossCloudManager.httpLastRequestAt;
     const waitMs = Math.max(0, MerossCloudManager.httpMinIntervalMs - elapsed);
     if (waitMs > 0) {
-      if (ctx && ctx.log) {
-        ctx.log(`Meross HTTP throttling: waiting ${waitMs}ms`);
-      }
+      log.debug(`Meross HTTP throttling: waiting ${waitMs}ms`);
       await new Promise(resolve => setTimeout(resolve, waitMs));
     }
     MerossCloudManager.httpLastRequestAt = Date.now();
@@ -70,13 +158,7 @@ class MerossCloudManager {
    * Format: MD5(SECRET + timestamp + nonce + base64_params)
    */
   _generateSignature(timestamp, nonce, base64Params, secret) {
-    const stringToSign = `${secret}${timestamp}${nonce}${base64Params}`;
-    const hash = this._md5(stringToSign);
-    
-    // Debug log
-    this.ctx.log(`Signature calculation: MD5("${secret.substring(0, 10)}...${timestamp}${nonce}${base64Params}") = ${hash}`);
-    
-    return hash;
+    return this._md5(`${secret}${timestamp}${nonce}${base64Params}`);
   }
   
   /**
@@ -93,7 +175,7 @@ class MerossCloudManager {
     return new Promise((resolve, reject) => {
       // Queue requests to enforce global throttle
       MerossCloudManager.httpQueue = MerossCloudManager.httpQueue
-        .then(() => MerossCloudManager._throttleHttpRequest(this.ctx))
+        .then(() => MerossCloudManager._throttleHttpRequest(this.log))
         .then(() => this._makeRequestInternal(endpoint, data, useAuth, resolve, reject))
         .catch(reject);
     });
@@ -124,13 +206,7 @@ class MerossCloudManager {
       
       const postData = JSON.stringify(payload);
       
-      // Debug logging for signature issues
-      if (useAuth) {
-        this.ctx.log(`Auth request to ${endpoint}:`);
-        this.ctx.log(`  Token: ${this.token ? this.token.substring(0, 20) + '...' : 'NONE'}`);
-        this.ctx.log(`  Key: ${this.key ? this.key.substring(0, 20) + '...' : 'NONE'}`);
-        this.ctx.log(`  Payload: ${postData.substring(0, 150)}...`);
-      }
+      this.log.debug(`Meross API request to ${endpoint}${useAuth ? ' (authenticated)' : ''}`);
       
       const baseHost = this.baseUrl ? new URL(this.baseUrl).hostname : 'iotx-us.meross.com';
       const options = {
@@ -161,9 +237,17 @@ class MerossCloudManager {
         });
         
         res.on('end', () => {
+          if (res.statusCode === 429) {
+            const retryAfterSeconds = Number(res.headers['retry-after']);
+            reject(new RateLimitedError(`Meross cloud rate limit (HTTP 429) on ${endpoint}`, {
+              retryAfterMs: retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : null
+            }));
+            return;
+          }
+          
           try {
-            // Log raw response for debugging (only first 300 chars)
-            this.ctx.log(`Meross API Response (${endpoint}): ${responseData.substring(0, 300)}...`);
+            // Raw response for debugging (first 300 chars); tokens and keys are redacted
+            this.log.trace(`Meross API Response (${endpoint}): ${responseData.substring(0, 300)}...`);
             
             const parsed = JSON.parse(responseData);
             
@@ -171,25 +255,27 @@ class MerossCloudManager {
             if (parsed.apiStatus === 0 || parsed.apiStatus === '0') {
               resolve(parsed.data);
             } else {
-              // Better error formatting
               const errorCode = parsed.apiStatus || parsed.error || 'UNKNOWN';
               const errorMsg = parsed.info || parsed.message || parsed.error || 'Unknown error';
-              reject(new Error(`Meross API Error ${errorCode}: ${errorMsg}`));
+              reject(fromApiStatus(errorCode, errorMsg, parsed.data || null));
             }
           } catch (error) {
-            // If JSON parse fails, show the actual response
-            reject(new Error(`Failed to parse Meross response: ${responseData.substring(0, 100)}... Error: ${error.message}`));
+            // If JSON parse fails, show the actual response (often a proxy error page, so worth retrying)
+            reject(new ProtocolError(`Failed to parse Meross response: ${responseData.substring(0, 100)}... Error: ${error.message}`, {
+              retryable: true,
+              cause: error
+            }));
           }
         });
       });
       
       req.on('error', (error) => {
-        reject(new Error(`Network error: ${error.message}`));
+        reject(new NetworkError(`Network error: ${error.message}`, { cause: error }));
       });
       
       req.setTimeout(10000, () => {
         req.destroy();
-        reject(new Error('Request timeout - Meross cloud not responding'));
+        reject(new TimeoutError('Request timeout - Meross cloud not responding'));
       });
       
       req.write(postData);
@@ -201,27 +287,18 @@ class MerossCloudManager {
   
   /**
    * Login to Meross cloud
+   * options.mfaCode: current code from the authenticator app, for accounts with MFA
    */
   async _login(email, password, options = {}) {
-    this.ctx.log('Logging in to Meross cloud...');
-    this.ctx.log(`Attempting login for: ${email}`);
+    Logger.addSecret(password);
+    this.log.info('Logging in to Meross cloud...');
+    this.log.debug(`Attempting login for: ${email}`);
     
     try {
       const forceLogin = options && options.force === true;
-      if (MerossCloudManager.loginBlockedUntil && Date.now() < MerossCloudManager.loginBlockedUntil) {
-        const waitSeconds = Math.max(0, Math.round((MerossCloudManager.loginBlockedUntil - Date.now()) / 1000));
-        throw new Error(`Login temporarily blocked due to rate limit. Try again in ${waitSeconds}s.`);
-      }
-
-      const now = Date.now();
-      if (!forceLogin && MerossCloudManager.sharedAuth && (now - MerossCloudManager.sharedAuth.lastLoginAt) < MerossCloudManager.loginTtlMs) {
-        const cached = MerossCloudManager.sharedAuth;
-        this.token = cached.token;
-        this.key = cached.key;
-        this.userId = cached.userId;
-        this.mqttDomain = cached.mqttDomain || 'mqtt-us-4.meross.com';
-        this.baseUrl = cached.domain || this.baseUrl;
-        this.ctx.log('Reusing cached Meross login credentials');
+      const cachedAuth = MerossCloudManager.sharedAuth;
+      if (!forceLogin && cachedAuth && cachedAuth.email === email && cachedAuth.region === this.region) {
+        this._useCachedAuth(cachedAuth);
         return true;
       }
 
@@ -229,46 +306,54 @@ class MerossCloudManager {
         await MerossCloudManager.loginPromise;
         const cached = MerossCloudManager.sharedAuth;
         if (cached) {
-          this.token = cached.token;
-          this.key = cached.key;
-          this.userId = cached.userId;
-          this.mqttDomain = cached.mqttDomain || 'mqtt-us-4.meross.com';
-          this.baseUrl = cached.domain || this.baseUrl;
-          this.ctx.log('Reusing cached Meross login credentials');
+          this._useCachedAuth(cached);
           return true;
         }
       }
 
+      // The block only stops new sign-ins; a cached session is still used above
+      if (MerossCloudManager.loginBlockedUntil && Date.now() < MerossCloudManager.loginBlockedUntil) {
+        const waitMs = Math.max(0, MerossCloudManager.loginBlockedUntil - Date.now());
+        throw new RateLimitedError(`Login temporarily blocked due to rate limit. Try again in ${Math.round(waitMs / 1000)}s.`, {
+          retryAfterMs: waitMs
+        });
+      }
+
+      if (!password) {
+        // Only the session was kept; once Meross rejects it the user has to sign in again
+        throw new PasswordRequiredError('Meross session expired and no password is stored; enter your password in the plugin settings');
+      }
+
       MerossCloudManager.loginPromise = (async () => {
-        // NOTE: Password is sent in PLAINTEXT (base64 encoded), not MD5 hashed
-        // Endpoint changed from /v1/Auth/Login to /v1/Auth/signIn in v0.4.6.0
-        const response = await this._makeRequest('/v1/Auth/signIn', {
-          email,
-          password
-        }, false); // Don't use auth for login
+        const response = await this._signIn(email, password, options.mfaCode);
         
         if (!response || !response.token || !response.key) {
-          throw new Error('Invalid login response - missing credentials');
+          throw new ProtocolError('Invalid login response - missing credentials');
         }
         
         this.token = response.token;
         this.key = response.key;
+        Logger.addSecret(this.token);
+        Logger.addSecret(this.key);
         this.userId = response.userid || response.userId;
-        this.mqttDomain = response.mqttDomain || 'mqtt-us-4.meross.com';
-        this.baseUrl = response.domain || this.baseUrl;
+        this.mqttDomain = response.mqttDomain || this.mqttDomain || this.defaultMqttDomain;
+        this.baseUrl = response.domain ? this._normalizeDomain(response.domain) : this.baseUrl;
         
         MerossCloudManager.sharedAuth = {
+          email,
           token: this.token,
           key: this.key,
           userId: this.userId,
+          region: this.region,
           mqttDomain: this.mqttDomain,
           domain: this.baseUrl,
           lastLoginAt: Date.now()
         };
         MerossCloudManager.loginBlockedUntil = 0;
+        MerossCloudManager._sessionChanged();
         
-        this.ctx.log('Successfully logged in to Meross cloud');
-        this.ctx.log(`User ID: ${this.userId}`);
+        this.log.info('Successfully logged in to Meross cloud');
+        this.log.debug(`User ID: ${this.userId}`);
       })();
 
       await MerossCloudManager.loginPromise;
@@ -277,34 +362,117 @@ class MerossCloudManager {
       return true;
     } catch (error) {
       MerossCloudManager.loginPromise = null;
-      const message = error && error.message ? error.message : String(error);
-      if (message.includes('Beyond Login Limit') || message.includes('429') || message.includes('request too frequent')) {
-        MerossCloudManager.loginBlockedUntil = Date.now() + (12 * 60 * 60 * 1000); // 12 hours
-        this.ctx.log('Login blocked due to rate limit; pausing login attempts for 12 hours.');
+      if (error instanceof RateLimitedError && !(MerossCloudManager.loginBlockedUntil > Date.now())) {
+        MerossCloudManager.loginBlockedUntil = Date.now() + MerossCloudManager.loginBlockMs;
+        MerossCloudManager._sessionChanged();
+        error.retryAfterMs = MerossCloudManager.loginBlockMs;
+        this.log.warn('Login blocked due to rate limit; pausing login attempts for 12 hours.');
       }
-      this.ctx.log(`Login failed: ${error.message}`);
+      this.log.error(`Login failed: ${error.message}`);
       throw error;
     }
   }
   
+  /**
+   * Sign in, following a wrong-region redirect to the domain Meross indicates
+   * MFA accounts fail with MfaRequiredError until a valid code is passed
+   */
+  async _signIn(email, password, mfaCode) {
+    // NOTE: Password is sent in PLAINTEXT (base64 encoded), not MD5 hashed
+    const params = { email, password };
+    if (mfaCode) {
+      params.mfaCode = String(mfaCode).trim();
+    }
+    
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // Endpoint changed from /v1/Auth/Login to /v1/Auth/signIn in v0.4.6.0
+        return await this._makeRequest('/v1/Auth/signIn', params, false); // Don't use auth for login
+      } catch (error) {
+        if (!(error instanceof WrongRegionError) || !error.domain || attempt > 0) {
+          throw error;
+        }
+        
+        const previous = this.baseUrl;
+        this.baseUrl = this._normalizeDomain(error.domain);
+        if (error.mqttDomain) {
+          this.mqttDomain = error.mqttDomain;
+        }
+        this.log.info(`Meross account belongs to another region; signing in again at ${this.baseUrl} (was ${previous})`);
+        if (this.region !== 'auto') {
+          this.log.info('Tip: set the Meross region to Automatic or to the account\'s region to skip this redirect');
+        }
+      }
+    }
+  }
+  
+  /**
+   * Take over a login shared by another manager
+   */
+  _useCachedAuth(cached) {
+    this.token = cached.token;
+    this.key = cached.key;
+    this.userId = cached.userId;
+    this.mqttDomain = cached.mqttDomain || this.defaultMqttDomain;
+    this.baseUrl = cached.domain || this.baseUrl;
+    this.log.debug('Reusing cached Meross login credentials');
+  }
+  
+  /**
+   * Domains come back as host names or full URLs; keep baseUrl a URL
+   */
+  _normalizeDomain(domain) {
+    return /^https?:\/\//.test(domain) ? domain : `https://${domain}`;
+  }
+  
+  /**
+   * HTTP and MQTT domains this manager signed in with, to persist for the next start
+   */
+  getResolvedDomains() {
+    return {
+      region: this.region,
+      domain: this.baseUrl,
+      mqttDomain: this.mqttDomain
+    };
+  }
+  
+  /**
+   * Log in and get the device list, signing in again only if Meross rejects the cached token
+   */
+  async listDevices(email, password, options = {}) {
+    await this._login(email, password, options);
+    
+    try {
+      return await this._getDevices();
+    } catch (error) {
+      if (!(error instanceof AuthExpiredError)) {
+        throw error;
+      }
+      this.log.warn(`Meross token rejected (${error.apiStatus}). Clearing cached auth and re-login...`);
+      MerossCloudManager.clearSharedAuth();
+      await this._login(email, password, { ...options, force: true });
+      return this._getDevices();
+    }
+  }
+  
   /**
    * Get list of devices
    */
   async _getDevices() {
-    this.ctx.log('Fetching device list...');
+    this.log.debug('Fetching device list...');
     
     // Empty object becomes empty JSON "{}" when stringified, then base64 encoded
     const response = await this._makeRequest('/v1/Device/devList', {}, true);
     
     // Response should have a list of devices
     if (!Array.isArray(response)) {
-      this.ctx.log('Warning: devList response is not an array:', JSON.stringify(response).substring(0, 200));
+      this.log.warn('Warning: devList response is not an array:', JSON.stringify(response).substring(0, 200));
       return [];
     }
     
     // Debug: log first device to see available fields
     if (response && response.length > 0) {
-      this.ctx.log(`Sample device data: ${JSON.stringify(response[0], null, 2).substring(0, 800)}`);
+      this.log.trace(`Sample device data: ${JSON.stringify(response[0], null, 2).substring(0, 800)}`);
     }
     
     return response || [];
@@ -312,13 +480,37 @@ class MerossCloudManager {
   
   /**
    * Connect to MQTT broker
+   * One connection serves every device of the account; concurrent callers share the attempt
    */
-  async _connectMqtt() {
+  async connectMqtt() {
     if (this.mqttClient && this.mqttClient.connected) {
       return; // Already connected
     }
     
-    this.ctx.log(`Connecting to MQTT broker: ${this.mqttDomain}`);
+    if (!this.mqttConnecting) {
+      this.mqttConnecting = this._connectMqtt().finally(() => {
+        this.mqttConnecting = null;
+      });
+    }
+    return this.mqttConnecting;
+  }
+  
+  async _connectMqtt() {
+    if (this.mqttClient && this.mqttClient.hasConnected) {
+      // Reconnect an established client in place: its offline queue, unacknowledged
+      // QoS 1 publishes and subscriptions carry over to the new connection
+      await this.mqttClient.reconnectNow();
+      return;
+    }
+    
+    if (this.mqttClient) {
+      // Replace a client that never got a session; stop it from retrying
+      this.mqttClient.removeAllListeners();
+      this.mqttClient.disconnect();
+      this.mqttClient = null;
+    }
+    
+    this.log.info(`Connecting to MQTT broker: ${this.mqttDomain}`);
     
     // Generate app ID and client ID
     const appId = this._md5(`API${crypto.randomBytes(16).toString('hex')}`);
@@ -326,7 +518,7 @@ class MerossCloudManager {
     
     // Store the response topic for use in message headers
     this.clientResponseTopic = `/app/${this.userId}-${appId}/subscribe`;
-    this.ctx.log(`Client response topic: ${this.clientResponseTopic}`);
+    this.log.debug(`Client response topic: ${this.clientResponseTopic}`);
     
     // Password is MD5 of userId + key
     const hashedPassword = this._md5(`${this.userId}${this.key}`);
@@ -338,27 +530,188 @@ class MerossCloudManager {
       username: this.userId,
       password: hashedPassword,
       keepalive: 30,
-      ctx: this.ctx
+      ctx: this.ctx,
+      ...this.mqttOptions
+    });
+    
+    this.mqttClient.on('message', (topic, message) => {
+      this._handleMqttMessage(topic, message);
+    });
+    
+    this.mqttClient.on('offline', () => {
+      this.log.warn('MQTT connection lost, reconnecting in background...');
+      this.emit('connectionState', 'offline', {});
+    });
+    
+    this.mqttClient.on('reconnect', ({ attempt, delayMs }) => {
+      this.emit('connectionState', 'reconnecting', { attempt, delayMs });
+    });
+    
+    this.mqttClient.on('online', ({ reconnected }) => {
+      if (reconnected) {
+        this.log.info('MQTT connection restored');
+      }
+      this.emit('connectionState', 'online', { reconnected });
     });
     
     await this.mqttClient.connect();
     
-    // Subscribe to necessary topics
-    this.mqttClient.subscribe(`/app/${this.userId}/subscribe`);
-    this.mqttClient.subscribe(this.clientResponseTopic);
+    // Subscribe to necessary topics: account-wide pushes and replies to our commands
+    await this.mqttClient.subscribe([
+      `/app/${this.userId}/subscribe`,
+      this.clientResponseTopic
+    ]);
+    this.log.info('MQTT connection established - device control ready');
+  }
+  
+  /**
+   * Check if the shared MQTT link is up
+   */
+  isMqttConnected() {
+    return this.mqttClient !== null && this.mqttClient.connected;
+  }
+  
+  /**
+   * Handle a message received on one of our subscribed topics
+   * (device replies on the client response topic, pushes on the user topic)
+   * and route it to the device it came from
+   */
+  _handleMqttMessage(topic, message) {
+    if (!message || typeof message !== 'object' || !message.header) {
+      this.log.debug(`Ignoring non-Meross MQTT message on ${topic}`);
+      return;
+    }
+    
+    const { method, namespace, messageId, from } = message.header;
+    const pending = this.pendingReplies.get(messageId);
+    const device = this._findDeviceHandle(from);
+    
+    // Pushes on the user topic cover every device of the account, including ones we don't control
+    if (!pending && !device) {
+      return;
+    }
+    
+    const deviceName = device ? device.device.devName : pending.deviceName;
+    this.log.debug(`Device message from ${deviceName} on ${topic}: ${method} ${namespace} (messageId ${messageId})`);
+    
+    if (method === 'PUSH') {
+      if (device) {
+        device._handlePush(namespace, message.payload || {});
+      }
+      return;
+    }
+    
+    if (pending) {
+      this._settleReply(messageId, pending, message);
+    }
+  }
+  
+  /**
+   * Find the handle of the device that sent a message (header.from is /appliance/<uuid>/publish)
+   */
+  _findDeviceHandle(from) {
+    if (!from) return null;
+    for (const [uuid, device] of this.devices) {
+      if (from.includes(uuid)) {
+        return device;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Resolve or reject a command with the device's reply
+   * SETACK/GETACK resolve with the reply payload and round-trip latency; ERROR rejects
+   */
+  _settleReply(messageId, pending, message) {
+    clearTimeout(pending.timer);
+    this.pendingReplies.delete(messageId);
+    
+    const { method, namespace } = message.header;
+    const latencyMs = Date.now() - pending.sentAt;
+    
+    if (method === 'ERROR') {
+      const detail = message.payload && message.payload.error
+        ? JSON.stringify(message.payload.error)
+        : 'no details';
+      pending.reject(new ProtocolError(`Device rejected ${namespace} ${pending.method}: ${detail}`, {
+        data: message.payload ? message.payload.error : null
+      }));
+      return;
+    }
+    
+    pending.resolve({ method, payload: message.payload, latencyMs });
   }
   
   /**
-   * Send command to device via MQTT
+   * Wait for the device's reply to a command
+   * The timeout only starts once the command has actually been sent
    */
-  async _sendDeviceCommand(namespace, payload) {
+  _awaitReply(messageId, device, namespace, method) {
+    const pending = { uuid: device.uuid, deviceName: device.devName, namespace, method, sentAt: Date.now(), timer: null };
+    
+    pending.promise = new Promise((resolve, reject) => {
+      pending.resolve = resolve;
+      pending.reject = reject;
+    });
+    // Registered before publishing (the reply can beat a PUBACK), so it can be rejected
+    // by disconnect() while the sender is still waiting for publish(); the sender
+    // awaits pending.promise itself once the command is out
+    pending.promise.catch(() => {});
+
+    pending.armTimeout = () => {
+      pending.timer = setTimeout(() => {
+        this.pendingReplies.delete(messageId);
+        const handle = this.devices.get(device.uuid);
+        const message = `No reply from ${device.devName} to ${namespace} ${method} within ${this.replyTimeoutMs}ms`;
+        pending.reject(handle && handle.deviceOnline === false
+          ? new DeviceOfflineError(`${message} (device is offline)`)
+          : new TimeoutError(message));
+      }, this.replyTimeoutMs);
+    };
+    
+    this.pendingReplies.set(messageId, pending);
+    return pending;
+  }
+  
+  /**
+   * Reject commands still waiting for a device reply (all of them, or one device's)
+   */
+  _failPendingReplies(error, uuid = null) {
+    for (const [messageId, pending] of this.pendingReplies) {
+      if (uuid && pending.uuid !== uuid) continue;
+      clearTimeout(pending.timer);
+      pending.reject(error);
+      this.pendingReplies.delete(messageId);
+    }
+  }
+  
+  /**
+   * Send command to a device via the shared MQTT connection
+   * device: devList entry ({ devName, uuid })
+   */
+  async sendViaMqtt(device, namespace, payload, options = {}) {
+    const method = options.method || 'SET';
+    const canQueue = this.mqttClient && this.mqttClient.canQueueOffline();
+    
     // Check if MQTT is connected, try to reconnect if not
-    if (!this.mqttClient || !this.mqttClient.connected) {
-      this.ctx.log('MQTT not connected, attempting to reconnect...');
+    if (canQueue && !this.mqttClient.connected) {
+      // The command waits in the client's offline queue; just skip the backoff
+      this.log.warn('MQTT not connected, queueing command and reconnecting...');
+      this.mqttClient.reconnectNow().catch(error => {
+        this.log.error(`MQTT reconnect failed: ${error.message}`);
+      });
+    } else if (!this.mqttClient || !this.mqttClient.connected) {
+      this.log.warn('MQTT not connected, attempting to reconnect...');
       try {
-        await this._connectMqtt();
+        if (this.mqttClient && this.mqttClient.hasConnected) {
+          // Background reconnect is pending; don't make this command wait out the backoff
+          await this.mqttClient.reconnectNow();
+        } else {
+          await this.connectMqtt();
+        }
       } catch (error) {
-        throw new Error('Failed to reconnect to MQTT broker: ' + error.message);
+        throw new NetworkError('Failed to reconnect to MQTT broker: ' + error.message, { cause: error });
       }
     }
     
@@ -366,14 +719,14 @@ class MerossCloudManager {
     const timestamp = Math.floor(Date.now() / 1000);
     
     // Debug: log clientResponseTopic
-    this.ctx.log(`Using clientResponseTopic: ${this.clientResponseTopic || 'UNDEFINED!'}`);
+    this.log.trace(`Using clientResponseTopic: ${this.clientResponseTopic || 'UNDEFINED!'}`);
     
     // Build the message in Meross protocol format
     const message = {
       header: {
         from: this.clientResponseTopic,
         messageId,
-        method: 'SET',
+        method,
         namespace,
         timestamp,
         sign: this._md5(`${messageId}${this.key}${timestamp}`),
@@ -382,197 +735,226 @@ class MerossCloudManager {
       payload
     };
     
-    this.ctx.log(`Sending device command via MQTT: ${namespace}`);
-    this.ctx.log(`Full message: ${JSON.stringify(message)}`);
+    this.log.debug(`Sending device command via MQTT: ${namespace} to ${device.devName}`);
+    this.log.trace(`Full message: ${JSON.stringify(message)}`);
     
     // Publish to device's MQTT topic
-    const topic = `/appliance/${this.device.uuid}/subscribe`;
-    this.mqttClient.publish(topic, message);
+    // QoS 0 is fire-and-forget; QoS 1 resolves once the broker has accepted the command
+    const topic = `/appliance/${device.uuid}/subscribe`;
+    const queued = !this.mqttClient.connected;
+    const reply = this._awaitReply(messageId, device, namespace, method);
+    
+    let delivery;
+    try {
+      delivery = await this.mqttClient.publish(topic, message, {
+        qos: this.commandQos,
+        key: options.key ? `${device.uuid}:${options.key}` : undefined
+      });
+    } catch (error) {
+      this.pendingReplies.delete(messageId);
+      throw error;
+    }
     
-    // MQTT is fire-and-forget (QoS 0), so we don't wait for response
-    return Promise.resolve();
+    if (delivery.superseded) {
+      this.pendingReplies.delete(messageId);
+      this.log.info(`Queued ${namespace} command superseded by a newer one before reconnect`);
+      return { ...delivery, method: null, payload: null, latencyMs: null };
+    }
+    
+    if (this.commandQos === 1) {
+      this.log.debug(`Broker acknowledged ${namespace} (packet ${delivery.packetId}, attempt ${delivery.attempts})`);
+    }
+    
+    // The reply can beat a QoS 1 PUBACK; otherwise start the clock now that the command is out
+    if (this.pendingReplies.has(messageId)) {
+      if (queued) {
+        reply.sentAt = Date.now(); // Don't count time spent in the offline queue
+      }
+      reply.armTimeout();
+    }
+    
+    const result = await reply.promise;
+    this.log.debug(`Device replied ${result.method} to ${namespace} in ${result.latencyMs}ms`);
+    return { ...delivery, ...result };
   }
   
   /**
-   * Connect to Meross cloud and find the target device
+   * Log in to the Meross cloud and load the account's device list
+   * Transient failures are retried per this.retryPolicy; bad credentials, MFA and
+   * login blocks fail at once. MQTT is connected when the first device needs it
+   * (see MerossDevice.connect)
+   * options.signal: AbortSignal that cancels pending retries (rejects with an AbortError)
    */
-  async connect(email, password, deviceName) {
+  async connect(email, password, options = {}) {
+    this.log.info('Connecting to Meross cloud...');
+    
     try {
-      this.ctx.log('Connecting to Meross cloud...');
-      
-      // Login
-      await this._login(email, password);
-      
-      // Get devices
-      let devices;
-      try {
-        devices = await this._getDevices();
-      } catch (error) {
-        if (error && error.message && error.message.includes('1022')) {
-          this.ctx.log('Meross token rejected (1022). Clearing cached auth and re-login...');
-          MerossCloudManager.clearSharedAuth();
-          await this._login(email, password, { force: true });
-          devices = await this._getDevices();
-        } else {
-          throw error;
+      // Login (reuses a cached or restored session) and get devices
+      const devices = await this.retryPolicy.run(() => this.listDevices(email, password), {
+        signal: options.signal,
+        label: 'Connecting to Meross cloud',
+        onRetry: (error, { attempt, delayMs }) => {
+          this.log.warn('Connection error:', error.message);
+          this.log.info(`Reconnecting in ${Math.round(delayMs / 1000)} seconds... (attempt ${attempt + 1} of ${this.retryPolicy.maxAttempts})`);
         }
-      }
-      this.ctx.log(`Found ${devices.length} Meross devices`);
+      });
+      this.log.info(`Found ${devices.length} Meross devices`);
       
       // Log each device with details
       if (devices.length > 0) {
-        this.ctx.log('═══════════════════════════════════════════════════');
-        this.ctx.log('Available Meross Devices:');
+        this.log.info('═══════════════════════════════════════════════════');
+        this.log.info('Available Meross Devices:');
         devices.forEach((dev, index) => {
           const numOutlets = dev.channels ? dev.channels.length - 1 : 0; // Subtract 1 for master channel
-          this.ctx.log(`  ${index + 1}. "${dev.devName}" (${dev.deviceType}, ${numOutlets} outlets)`);
+          this.log.info(`  ${index + 1}. "${dev.devName}" (${dev.deviceType}, ${numOutlets} outlets)`);
         });
-        this.ctx.log('═══════════════════════════════════════════════════');
-      }
-      
-      // Find target device
-      this.device = devices.find(dev => dev.devName === deviceName);
-      
-      if (!this.device) {
-        const deviceNames = devices.map(d => d.devName).join(', ');
-        throw new Error(`Device "${deviceName}" not found. Available devices: ${deviceNames || 'none'}`);
+        this.log.info('═══════════════════════════════════════════════════');
       }
       
+      this.deviceList = devices;
       this.connected = true;
-      this.reconnectAttempts = 0;
-      this.ctx.log(`Connected to device: ${this.device.devName} (UUID: ${this.device.uuid})`);
-      
-      // Connect to MQTT for device control
-      try {
-        await this._connectMqtt();
-        this.ctx.log('MQTT connection established - device control ready');
-      } catch (mqttError) {
-        this.ctx.log(`MQTT connection failed: ${mqttError.message}`);
-        throw mqttError;
-      }
-      
       return true;
     } catch (error) {
-      this.ctx.log('Connection error:', error.message);
       this.connected = false;
-      
-      // Attempt reconnect
-      this.reconnectAttempts++;
-      const waitTime = Math.min(this.reconnectBackoff * (2 ** (this.reconnectAttempts - 1)), 300000);
-      this.ctx.log(`Reconnecting in ${Math.round(waitTime / 1000)} seconds... (attempt ${this.reconnectAttempts})`);
-      
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-      return this.connect(email, password, deviceName);
+      if (!RetryPolicy.isAbort(error)) {
+        this.log.error('Connection error:', error.message);
+      }
+      throw error;
     }
   }
   
   /**
-   * Check if connected to device
+   * Use manually configured devices over the LAN, without ever logging in to the cloud
+   * key: the account key used to sign messages
    */
-  isConnected() {
-    return this.connected && this.device !== null && this.token !== null;
+  connectLocal(key) {
+    if (!key) {
+      throw new Error('No signing key configured for offline mode');
+    }
+    
+    this.offline = true;
+    this.key = key;
+    Logger.addSecret(key);
+    this.connected = true;
+    return true;
   }
   
   /**
-   * Turn on a specific outlet/channel
+   * Find a device of the account by name
    */
-  async turnOn(channel) {
-    if (!this.isConnected()) {
-      throw new Error('Not connected to Meross device');
+  findDevice(deviceName) {
+    const device = this.deviceList.find(dev => dev.devName === deviceName);
+    if (!device) {
+      const deviceNames = this.deviceList.map(d => d.devName).join(', ');
+      throw new DeviceNotFoundError(`Device "${deviceName}" not found. Available devices: ${deviceNames || 'none'}`);
     }
+    return device;
+  }
+  
+  /**
+   * Create the handle for a device; a previous handle for the same UUID is released
+   * device: devList entry, or { devName, uuid, ip, channels } in offline mode
+   */
+  addDevice(device, options = {}) {
+    const handle = this._createHandle(device, options);
     
-    try {
-      const namespace = 'Appliance.Control.ToggleX';
-      const payload = {
-        togglex: {
-          channel: channel, // Channel 0=all, 1=first outlet, 2=second outlet, etc.
-          onoff: 1
-        }
-      };
-      
-      await this._sendDeviceCommand(namespace, payload);
-      this.ctx.log(`Outlet ${channel} turned ON`);
-    } catch (error) {
-      this.ctx.log(`Error turning on outlet ${channel}:`, error.message);
-      this.connected = false;
-      throw error;
+    const previous = this.devices.get(device.uuid);
+    if (previous) {
+      previous.closed = true;
     }
+    
+    this.devices.set(device.uuid, handle);
+    return handle;
+  }
+  
+  /**
+   * Create a handle for short-lived reads that is not registered with the session
+   * It gets the replies to its own commands but no pushes, and leaves the device's
+   * registered handle (if any) in place; release() it when done
+   */
+  createTemporaryDevice(device, options = {}) {
+    return this._createHandle(device, options);
   }
   
   /**
-   * Turn off a specific outlet/channel
+   * Validate a device entry and build its handle
    */
-  async turnOff(channel) {
-    if (!this.isConnected()) {
-      throw new Error('Not connected to Meross device');
+  _createHandle(device, options) {
+    if (!device || !device.uuid) {
+      throw new Error(`Device ${device ? device.devName : ''} is missing its UUID`);
     }
     
-    try {
-      const namespace = 'Appliance.Control.ToggleX';
-      const payload = {
-        togglex: {
-          channel: channel, // Channel 0=all, 1=first outlet, 2=second outlet, etc.
-          onoff: 0
-        }
-      };
-      
-      await this._sendDeviceCommand(namespace, payload);
-      this.ctx.log(`Outlet ${channel} turned OFF`);
-    } catch (error) {
-      this.ctx.log(`Error turning off outlet ${channel}:`, error.message);
+    if (this.offline && !device.ip) {
+      throw new Error(`No LAN IP configured for ${device.devName}`);
+    }
+    
+    // Offline devices are only reachable at their configured IP
+    return new MerossDevice(this, device, this.offline
+      ? { transportMode: 'lan', lanHost: device.ip }
+      : options);
+  }
+  
+  /**
+   * Forget a released device handle
+   */
+  _removeDevice(handle) {
+    if (this.devices.get(handle.uuid) === handle) {
+      this.devices.delete(handle.uuid);
+      this._failPendingReplies(new Error(`${handle.device.devName} was disconnected`), handle.uuid);
+    }
+  }
+  
+  /**
+   * Check if logged in (or set up for offline use)
+   */
+  isReady() {
+    return this.connected && (this.token !== null || this.offline);
+  }
+  
+  /**
+   * Handle a failed cloud command
+   * A client with an established session reconnects on its own, so only
+   * drop the whole connection (forcing a re-login) when it never had one
+   */
+  _markFailed() {
+    if (!this.mqttClient || !this.mqttClient.hasConnected) {
       this.connected = false;
-      throw error;
     }
   }
   
   /**
-   * Disconnect from Meross cloud
+   * Close the shared MQTT connection
+   * The login is kept (and stays persisted) so the next start doesn't sign in again;
+   * release device handles first so their outlets get the failsafe turn-off
    */
   async disconnect() {
     try {
-      if (this.device && this.connected) {
-        this.ctx.log('Turning off all outlets before disconnect (failsafe)...');
-        
-        // Try to determine number of channels from device info
-        const numChannels = this.device.channels?.length || 2;
-        
-        for (let i = 1; i <= numChannels; i++) {
-          try {
-            await this.turnOff(i);
-          } catch (error) {
-            this.ctx.log(`Error turning off outlet ${i}:`, error.message);
-          }
-        }
+      this._failPendingReplies(new Error('Disconnected from Meross cloud'));
+      
+      for (const handle of this.devices.values()) {
+        handle.closed = true;
       }
+      this.devices.clear();
       
       // Disconnect MQTT
       if (this.mqttClient) {
         try {
+          this.mqttClient.removeAllListeners();
           this.mqttClient.disconnect();
         } catch (error) {
-          this.ctx.log('Error disconnecting MQTT:', error.message);
-        }
-      }
-      
-      // Logout
-      if (this.token) {
-        try {
-          await this._makeRequest('/v1/Profile/logout', {});
-        } catch (error) {
-          this.ctx.log('Error during logout:', error.message);
+          this.log.error('Error disconnecting MQTT:', error.message);
         }
       }
       
       this.connected = false;
-      this.device = null;
       this.token = null;
       this.key = null;
       this.userId = null;
       this.mqttClient = null;
       
-      this.ctx.log('Disconnected from Meross cloud');
+      this.log.info('Disconnected from Meross cloud');
     } catch (error) {
-      this.ctx.log('Error during disconnect:', error.message);
+      this.log.error('Error during disconnect:', error.message);
     }
   }
 }
@@ -0,0 +1,588 @@
+/*
+ * Meross Device
+ * Lightweight handle for one device on a shared MerossCloudManager session
+ *
+ * Commands go directly to the device over the LAN or through the session's
+ * single MQTT connection (transportMode 'auto' tries the last working path
+ * first and falls back); the session routes replies and pushes back by UUID
+ */
+
+import { EventEmitter } from 'events';
+import MerossLanClient from './meross-lan-client.js';
+
+/**
+ * Events:
+ *   'stateChange' (channel, state, detail) - an outlet's on/off state changed; detail.source is
+ *                                            'push' (button/app), 'poll' or 'command'
+ *   'deviceOnline' (online)                - the device reported going online/offline to the cloud
+ *   'electricity' (channel, reading)       - a power reading arrived (poll or push), see parseElectricity
+ */
+class MerossDevice extends EventEmitter {
+  /**
+   * @param {MerossCloudManager} session - Account session that owns the MQTT connection
+   * @param {Object} device - Device entry ({ devName, uuid, channels, ... }) from devList or offline settings
+   * @param {Object} [options]
+   * @param {string} [options.transportMode='auto'] - 'auto', 'cloud' or 'lan'
+   * @param {string} [options.lanHost] - Manually entered LAN IP (never replaced by the reported one)
+   * @param {string} [options.knownLanHost] - LAN IP reported by the device earlier
+   * @param {string} [options.toggleNamespace] - Toggle namespace found by an earlier capability probe
+   */
+  constructor(session, device, options = {}) {
+    super();
+    this.session = session;
+    this.ctx = session.ctx;
+    this.log = session.log;
+    this.device = device;
+    this.uuid = device.uuid;
+    this.channelStates = new Map(); // channel -> { onoff, lmTime, updatedAt }
+    this.electricity = new Map(); // channel -> last power reading, metering plugs only
+    this.deviceOnline = null; // Last Appliance.System.Online status, null until reported
+    this.transportMode = ['cloud', 'lan'].includes(options.transportMode) ? options.transportMode : 'auto';
+    this.lanHost = options.lanHost || options.knownLanHost || null; // Device IP for LAN control
+    this.lanHostManual = !!options.lanHost; // A manually entered IP is never replaced by the reported one
+    this.lanClient = null;
+    this.lanHealthy = null; // Result of the last LAN request, null until tried
+    this.preferredTransport = 'lan'; // In auto mode, the path to try first
+    this.systemInfo = null;
+    this.abilities = null; // Appliance.System.Ability map (namespace -> details), null until read
+    this.toggleNamespace = options.toggleNamespace || null; // ToggleX or legacy Toggle, learned from the device
+    this.closed = false;
+  }
+
+  static toggleX = 'Appliance.Control.ToggleX';
+  static toggleLegacy = 'Appliance.Control.Toggle'; // Early single-outlet plugs (e.g. MSS110/MSS210)
+  static electricityNamespace = 'Appliance.Control.Electricity';
+  static consumptionX = 'Appliance.Control.ConsumptionX';
+  static consumptionLegacy = 'Appliance.Control.Consumption';
+
+  /**
+   * Outlet channels a device entry can switch
+   * devList lists the master channel 0 first; a device with nothing else is a
+   * single-outlet plug, switched as channel 0
+   */
+  static outletChannels(device) {
+    const count = device && device.channels ? device.channels.length : 0;
+    if (count <= 1) {
+      return [0];
+    }
+    return Array.from({ length: count - 1 }, (_, index) => index + 1);
+  }
+
+  /**
+   * Summarize an Appliance.System.Ability map into the features the plugin cares about
+   */
+  static capabilitiesFrom(ability) {
+    const has = namespace => !!ability[namespace];
+    return {
+      toggle: has(MerossDevice.toggleX) ? 'togglex' : (has(MerossDevice.toggleLegacy) ? 'toggle' : null),
+      electricity: has(MerossDevice.electricityNamespace), // Live power metering
+      consumption: has(MerossDevice.consumptionX) || has(MerossDevice.consumptionLegacy), // Energy history
+      timer: has('Appliance.Control.TimerX') || has('Appliance.Control.Timer'),
+      light: has('Appliance.Control.Light'),
+      namespaces: Object.keys(ability).sort()
+    };
+  }
+
+  /**
+   * Convert a raw electricity entry to { channel, power (W), voltage (V), current (A), updatedAt }
+   * Devices report milliwatts, decivolts and milliamps
+   */
+  static parseElectricity(raw) {
+    const number = value => (Number.isFinite(Number(value)) ? Number(value) : null);
+    const scaled = (value, divisor) => (number(value) === null ? null : number(value) / divisor);
+    return {
+      channel: raw.channel || 0,
+      power: scaled(raw.power, 1000),
+      voltage: scaled(raw.voltage, 10),
+      current: scaled(raw.current, 1000),
+      updatedAt: Date.now()
+    };
+  }
+
+  /**
+   * Make sure the path to the device is up: the shared MQTT connection unless LAN-only
+   */
+  async connect() {
+    if (this.transportMode === 'lan') {
+      this.log.info(`${this.device.devName}: LAN-only control via ${this.lanHost || 'unknown IP'} - skipping MQTT`);
+      return true;
+    }
+
+    try {
+      await this.session.connectMqtt();
+    } catch (mqttError) {
+      this.log.warn(`MQTT connection failed: ${mqttError.message}`);
+      if (!this.lanHost) {
+        throw mqttError;
+      }
+      this.log.info(`Continuing with LAN control via ${this.lanHost}; MQTT will be retried on demand`);
+    }
+
+    this.log.info(`Connected to device: ${this.device.devName} (UUID: ${this.uuid})`);
+    return true;
+  }
+
+  /**
+   * Check if the session is logged in and this handle is still in use
+   * Commands can be sent; MQTT is reconnected on demand if the link is down
+   */
+  isReady() {
+    return !this.closed && this.session.isReady();
+  }
+
+  /**
+   * Check if connected to device (ready and the MQTT link or LAN path is alive)
+   */
+  isConnected() {
+    return this.isReady() && (this.session.isMqttConnected() || this.lanHealthy === true);
+  }
+
+  /**
+   * Handle a PUSH notification from the device
+   * Devices push when an outlet is switched by the physical button, the Meross
+   * app or a schedule, and when they go online/offline
+   */
+  _handlePush(namespace, payload) {
+    if (namespace === MerossDevice.toggleX) {
+      this._updateChannelStates(payload.togglex, 'push');
+    } else if (namespace === MerossDevice.toggleLegacy) {
+      // Legacy plugs report the whole plug as channel 0
+      if (payload.toggle) {
+        this.toggleNamespace = this.toggleNamespace || MerossDevice.toggleLegacy;
+        this._updateChannelStates({ channel: 0, ...payload.toggle }, 'push');
+      }
+    } else if (namespace === MerossDevice.electricityNamespace) {
+      this._updateElectricity(payload.electricity);
+    } else if (namespace === 'Appliance.System.Online') {
+      const online = payload.online ? payload.online.status === 1 : null;
+      if (online !== null && online !== this.deviceOnline) {
+        this.deviceOnline = online;
+        this.log.info(`Device ${this.device.devName} is now ${online ? 'online' : 'offline'}`);
+        this.emit('deviceOnline', online);
+      }
+    }
+  }
+
+  /**
+   * Send command to device over the LAN or the cloud, per transportMode
+   * Resolves once the device replies (SETACK for SET, GETACK for GET) with
+   * { method, payload, latencyMs, transport }; rejects on ERROR or if no reply arrives in time.
+   */
+  async _sendDeviceCommand(namespace, payload, options = {}) {
+    const transports = this._transportOrder();
+    let lastError = null;
+
+    for (const [index, transport] of transports.entries()) {
+      try {
+        const result = transport === 'lan'
+          ? await this._sendViaLan(namespace, payload, options)
+          : await this.session.sendViaMqtt(this.device, namespace, payload, options);
+
+        if (this.transportMode === 'auto' && this.preferredTransport !== transport) {
+          this.log.info(`${this.device.devName}: switching to ${transport === 'lan' ? 'LAN' : 'cloud'} control`);
+          this.preferredTransport = transport;
+        }
+        return { ...result, transport };
+      } catch (error) {
+        lastError = error;
+        if (index < transports.length - 1) {
+          this.log.warn(`${transport === 'lan' ? 'LAN' : 'Cloud'} command failed (${error.message}), trying the other path...`);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Transports to try for the next command, in order
+   */
+  _transportOrder() {
+    if (this.transportMode === 'lan') {
+      return ['lan'];
+    }
+    if (this.transportMode === 'cloud' || !this.lanHost) {
+      return ['cloud'];
+    }
+    return this.preferredTransport === 'lan' ? ['lan', 'cloud'] : ['cloud', 'lan'];
+  }
+
+  /**
+   * Send command directly to the device at its LAN IP
+   */
+  async _sendViaLan(namespace, payload, options = {}) {
+    if (!this.lanHost) {
+      throw new Error(`No LAN IP known for ${this.device.devName}`);
+    }
+
+    const key = this.session.key;
+    if (!this.lanClient || this.lanClient.host !== this.lanHost || this.lanClient.key !== key) {
+      this.lanClient = new MerossLanClient({ host: this.lanHost, key, ctx: this.ctx });
+    }
+
+    try {
+      const result = await this.lanClient.request(options.method || 'SET', namespace, payload);
+      this.lanHealthy = true;
+      this.log.debug(`Device replied ${result.method} to ${namespace} over LAN in ${result.latencyMs}ms`);
+      return { packetId: null, attempts: 1, ...result };
+    } catch (error) {
+      this.lanHealthy = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Learn the device's LAN IP from Appliance.System.All (innerIp)
+   * Returns the IP, or null if the device didn't report one
+   */
+  async discoverLanHost() {
+    await this.getState();
+    return this.lanHost;
+  }
+
+  /**
+   * Read the device's full state (Appliance.System.All) and refresh the channel cache
+   * Returns { channels: { [channel]: { onoff, lmTime, updatedAt } }, online, updatedAt }
+   */
+  async getState() {
+    if (!this.isReady()) {
+      throw new Error('Not connected to Meross device');
+    }
+
+    const reply = await this._sendDeviceCommand('Appliance.System.All', {}, { method: 'GET' });
+    const all = (reply.payload && reply.payload.all) || {};
+    const digest = all.digest || {};
+
+    this.systemInfo = all.system || null;
+    if (all.system && all.system.online) {
+      this.deviceOnline = all.system.online.status === 1;
+    }
+
+    const innerIp = all.system && all.system.firmware ? all.system.firmware.innerIp : null;
+    if (innerIp && !this.lanHostManual && innerIp !== this.lanHost) {
+      this.log.info(`${this.device.devName} reports LAN IP ${innerIp}`);
+      this.lanHost = innerIp;
+    }
+    this._updateChannelStates(digest.togglex, 'poll');
+
+    // Legacy plugs have no digest.togglex; their single outlet is under control.toggle
+    const legacyToggle = all.control && all.control.toggle;
+    if (legacyToggle && !digest.togglex) {
+      this.toggleNamespace = this.toggleNamespace || MerossDevice.toggleLegacy;
+      this._updateChannelStates({ channel: 0, ...legacyToggle }, 'poll');
+    }
+
+    return this.getCachedState();
+  }
+
+  /**
+   * Read the namespaces the device supports (Appliance.System.Ability), once
+   */
+  async getAbilities() {
+    if (!this.abilities) {
+      const reply = await this._sendDeviceCommand('Appliance.System.Ability', {}, { method: 'GET' });
+      this.abilities = (reply.payload && reply.payload.ability) || {};
+    }
+    return this.abilities;
+  }
+
+  /**
+   * Probe what the device supports and which firmware it runs
+   * Returns { capabilities, firmware, lanHost }; capabilities.lan is true once a LAN IP is known
+   */
+  async describe() {
+    if (!this.isReady()) {
+      throw new Error('Not connected to Meross device');
+    }
+
+    await this.getState(); // Firmware, LAN IP and legacy toggle hint
+    const ability = await this.getAbilities();
+    const system = this.systemInfo || {};
+    const firmware = system.firmware || {};
+    const hardware = system.hardware || {};
+
+    return {
+      capabilities: { ...MerossDevice.capabilitiesFrom(ability), lan: !!this.lanHost },
+      firmware: {
+        version: firmware.version || null,
+        hardwareVersion: hardware.version || null,
+        type: hardware.type || null
+      },
+      lanHost: this.lanHost
+    };
+  }
+
+  /**
+   * Find out whether the device switches outlets with ToggleX or the legacy Toggle
+   * Asks Appliance.System.Ability once; if that fails, ToggleX is assumed for now
+   */
+  async _resolveToggleNamespace() {
+    if (this.toggleNamespace) {
+      return this.toggleNamespace;
+    }
+
+    try {
+      const ability = await this.getAbilities();
+      if (ability[MerossDevice.toggleX] || !ability[MerossDevice.toggleLegacy]) {
+        this.toggleNamespace = MerossDevice.toggleX;
+      } else {
+        this.toggleNamespace = MerossDevice.toggleLegacy;
+        this.log.info(`${this.device.devName} only supports the legacy ${MerossDevice.toggleLegacy} namespace`);
+      }
+      return this.toggleNamespace;
+    } catch (error) {
+      this.log.warn(`Could not read abilities of ${this.device.devName} (${error.message}); assuming ${MerossDevice.toggleX}`);
+      return MerossDevice.toggleX;
+    }
+  }
+
+  /**
+   * Payload that switches one outlet in the given toggle namespace
+   */
+  _togglePayload(namespace, channel, onoff) {
+    if (namespace === MerossDevice.toggleLegacy) {
+      if (channel !== 0) {
+        throw new Error(`${this.device.devName} has a single outlet (channel 0); channel ${channel} does not exist`);
+      }
+      return { toggle: { onoff } };
+    }
+    return {
+      togglex: {
+        channel: channel, // Channel 0=all (or the only outlet), 1=first outlet, 2=second outlet, etc.
+        onoff
+      }
+    };
+  }
+
+  /**
+   * Read one outlet's on/off state via Appliance.Control.ToggleX (or Toggle on legacy plugs)
+   * A cached value younger than options.maxAgeMs is returned without asking the device
+   */
+  async getChannelState(channel, options = {}) {
+    const cached = this.channelStates.get(channel);
+    if (cached && options.maxAgeMs && (Date.now() - cached.updatedAt) < options.maxAgeMs) {
+      return cached;
+    }
+
+    if (!this.isReady()) {
+      throw new Error('Not connected to Meross device');
+    }
+
+    const namespace = await this._resolveToggleNamespace();
+    if (namespace === MerossDevice.toggleLegacy) {
+      const reply = await this._sendDeviceCommand(namespace, {}, { method: 'GET' });
+      if (reply.payload && reply.payload.toggle) {
+        this._updateChannelStates({ channel: 0, ...reply.payload.toggle }, 'poll');
+      }
+      return this.channelStates.get(channel) || null;
+    }
+
+    const reply = await this._sendDeviceCommand(namespace, {
+      togglex: { channel }
+    }, { method: 'GET' });
+    this._updateChannelStates(reply.payload && reply.payload.togglex, 'poll');
+
+    return this.channelStates.get(channel) || null;
+  }
+
+  /**
+   * Read live power, voltage and current via Appliance.Control.Electricity
+   * Plugs meter the whole device as channel 0. A cached reading younger than
+   * options.maxAgeMs is returned without asking the device
+   */
+  async getElectricity(channel = 0, options = {}) {
+    const cached = this.electricity.get(channel);
+    if (cached && options.maxAgeMs && (Date.now() - cached.updatedAt) < options.maxAgeMs) {
+      return cached;
+    }
+
+    if (!this.isReady()) {
+      throw new Error('Not connected to Meross device');
+    }
+
+    const reply = await this._sendDeviceCommand(MerossDevice.electricityNamespace, {
+      electricity: { channel }
+    }, { method: 'GET' });
+    this._updateElectricity(reply.payload && reply.payload.electricity);
+
+    return this.electricity.get(channel) || null;
+  }
+
+  /**
+   * Read daily energy totals via Appliance.Control.ConsumptionX (Consumption on older firmware)
+   * Returns [{ date: 'YYYY-MM-DD', wh, time }] in date order, as kept by the device (about a month)
+   */
+  async getConsumption() {
+    if (!this.isReady()) {
+      throw new Error('Not connected to Meross device');
+    }
+
+    const ability = await this.getAbilities().catch(() => ({}));
+    const namespace = !ability[MerossDevice.consumptionX] && ability[MerossDevice.consumptionLegacy]
+      ? MerossDevice.consumptionLegacy
+      : MerossDevice.consumptionX;
+    const reply = await this._sendDeviceCommand(namespace, {}, { method: 'GET' });
+    const payload = reply.payload || {};
+    const entries = payload.consumptionx || payload.consumption || [];
+
+    return entries
+      .map(entry => ({ date: entry.date, wh: Number(entry.value) || 0, time: entry.time || null }))
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  }
+
+  /**
+   * Snapshot of the cached power readings, by channel
+   */
+  getCachedElectricity() {
+    const channels = {};
+    for (const [channel, reading] of this.electricity) {
+      channels[channel] = { ...reading };
+    }
+    return channels;
+  }
+
+  /**
+   * Store an electricity entry in the cache and emit 'electricity'
+   */
+  _updateElectricity(raw) {
+    if (!raw) return;
+
+    const reading = MerossDevice.parseElectricity(raw);
+    this.electricity.set(reading.channel, reading);
+    this.emit('electricity', reading.channel, { ...reading });
+  }
+
+  /**
+   * Snapshot of the cached channel states
+   */
+  getCachedState() {
+    const channels = {};
+    let updatedAt = 0;
+    for (const [channel, state] of this.channelStates) {
+      channels[channel] = { ...state };
+      updatedAt = Math.max(updatedAt, state.updatedAt);
+    }
+    return {
+      channels,
+      online: this.isConnected(),
+      updatedAt
+    };
+  }
+
+  /**
+   * Store togglex entries (a single object or an array of them) in the channel cache
+   * and emit 'stateChange' for every outlet whose on/off state changed
+   */
+  _updateChannelStates(togglex, source) {
+    if (!togglex) return;
+
+    const entries = Array.isArray(togglex) ? togglex : [togglex];
+    const now = Date.now();
+    for (const entry of entries) {
+      if (!entry || entry.channel === undefined || entry.onoff === undefined) continue;
+
+      const previous = this.channelStates.get(entry.channel);
+      const state = {
+        onoff: entry.onoff,
+        lmTime: entry.lmTime || null,
+        updatedAt: now
+      };
+      this.channelStates.set(entry.channel, state);
+
+      if (!previous || previous.onoff !== state.onoff) {
+        this.emit('stateChange', entry.channel, { ...state }, {
+          previous: previous ? previous.onoff : null,
+          source
+        });
+      }
+    }
+  }
+
+  /**
+   * Handle a failed device command
+   * Only cloud failures can mean the session itself is broken
+   */
+  _markFailed() {
+    if (this.transportMode === 'lan') {
+      return; // Nothing a re-login would fix
+    }
+    this.session._markFailed();
+  }
+
+  /**
+   * Switch a specific outlet/channel on (1) or off (0)
+   */
+  async _setOutlet(channel, onoff) {
+    if (!this.isReady()) {
+      throw new Error('Not connected to Meross device');
+    }
+
+    const label = onoff ? 'ON' : 'OFF';
+    try {
+      const namespace = await this._resolveToggleNamespace();
+      const payload = this._togglePayload(namespace, channel, onoff);
+
+      // Keyed per channel so a queued command is replaced by a newer one for the same outlet
+      const result = await this._sendDeviceCommand(namespace, payload, { key: `toggle:${channel}` });
+      if (result.superseded) {
+        return result;
+      }
+      this._updateChannelStates({ channel, onoff }, 'command');
+      this.log.info(`Outlet ${channel} turned ${label} (device confirmed in ${result.latencyMs}ms)`);
+      return result;
+    } catch (error) {
+      this.log.error(`Error turning ${label.toLowerCase()} outlet ${channel}:`, error.message);
+      this._markFailed();
+      throw error;
+    }
+  }
+
+  /**
+   * Turn on a specific outlet/channel
+   */
+  async turnOn(channel) {
+    return this._setOutlet(channel, 1);
+  }
+
+  /**
+   * Turn off a specific outlet/channel
+   */
+  async turnOff(channel) {
+    return this._setOutlet(channel, 0);
+  }
+
+  /**
+   * Turn every outlet off (failsafe) and release the handle
+   * The shared session and its MQTT connection stay up for other devices
+   */
+  async disconnect() {
+    try {
+      if (this.isReady()) {
+        this.log.info(`Turning off all outlets of ${this.device.devName} before disconnect (failsafe)...`);
+
+        for (const channel of MerossDevice.outletChannels(this.device)) {
+          try {
+            await this.turnOff(channel);
+          } catch (error) {
+            this.log.error(`Error turning off outlet ${channel}:`, error.message);
+          }
+        }
+      }
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Release the handle without the failsafe turn-off
+   * For short-lived handles (see MerossCloudManager.createTemporaryDevice) that only read
+   * from a device; a temporary handle never unregisters the device's own handle
+   */
+  release() {
+    this.closed = true;
+    this.session._removeDevice(this);
+    this.removeAllListeners();
+  }
+}
+
+export default MerossDevice;
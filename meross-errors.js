@@ -0,0 +1,161 @@
+/*
+ * Meross Errors
+ * Typed errors for everything that can go wrong talking to Meross
+ *
+ * Every error carries a stable `code` (saved in settings for the UI), the
+ * numeric `apiStatus` when the cloud returned one, whether retrying can help
+ * (`retryable`) and, when known, how long to wait first (`retryAfterMs`).
+ * fromApiStatus() is the single place that maps cloud responses to classes.
+ */
+
+/**
+ * apiStatus values returned by the Meross HTTP API
+ */
+export const ApiStatus = {
+  badCredentials: [1001, 1002, 1003, 1004, 1005, 1006, 1008], // Wrong, unknown or disabled account
+  tokenRejected: [1019, 1022, 1200], // Token invalid, in error or expired
+  wrongRegion: 1030, // Account belongs to another region; data names its domains
+  mfaWrongCode: 1032,
+  mfaRequired: 1033,
+  tooManyTokens: 1301
+};
+
+export class MerossError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {number} [options.apiStatus] - apiStatus from the Meross cloud
+   * @param {boolean} [options.retryable] - Defaults to the class's own setting
+   * @param {number} [options.retryAfterMs] - Suggested wait before trying again
+   * @param {*} [options.data] - data field of the cloud response
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = this.constructor.code;
+    this.apiStatus = Number.isFinite(options.apiStatus) ? options.apiStatus : null;
+    this.retryable = options.retryable !== undefined ? options.retryable : this.constructor.retryable;
+    this.retryAfterMs = options.retryAfterMs || null;
+    this.data = options.data || null;
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+
+  static code = 'meross_error';
+  static retryable = true;
+
+  /**
+   * Plain summary to store in settings for the UI
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      apiStatus: this.apiStatus,
+      retryable: this.retryable,
+      retryAfterMs: this.retryAfterMs
+    };
+  }
+}
+
+/** Meross no longer accepts the session token; signing in again fixes it */
+export class AuthExpiredError extends MerossError {
+  static code = 'auth_expired';
+}
+
+/** Wrong email or password, or an unusable account */
+export class AuthFailedError extends MerossError {
+  static code = 'auth_failed';
+  static retryable = false;
+}
+
+/** The account uses multi-factor authentication and needs a (new) code */
+export class MfaRequiredError extends AuthFailedError {
+  static code = 'mfa_required';
+
+  constructor(message, options = {}) {
+    super(message, options);
+    this.invalidCode = !!options.invalidCode; // A code was sent and rejected
+  }
+}
+
+/** Only the session was stored, and Meross rejected it */
+export class PasswordRequiredError extends AuthFailedError {
+  static code = 'password_required';
+}
+
+/** Too many logins or requests; wait retryAfterMs before trying again */
+export class RateLimitedError extends MerossError {
+  static code = 'rate_limited';
+}
+
+/** The account lives in another region; domain and mqttDomain say where */
+export class WrongRegionError extends MerossError {
+  static code = 'wrong_region';
+
+  constructor(message, options = {}) {
+    super(message, options);
+    this.domain = this.data && this.data.domain ? this.data.domain : null;
+    this.mqttDomain = this.data && this.data.mqttDomain ? this.data.mqttDomain : null;
+  }
+}
+
+/** No device of that name on the account or in the offline list */
+export class DeviceNotFoundError extends MerossError {
+  static code = 'device_not_found';
+  static retryable = false;
+}
+
+/** The device is known to be offline (unplugged or off Wi-Fi) */
+export class DeviceOfflineError extends MerossError {
+  static code = 'device_offline';
+}
+
+/** Could not reach the Meross cloud, the MQTT broker or the device */
+export class NetworkError extends MerossError {
+  static code = 'network';
+}
+
+/** No response in time */
+export class TimeoutError extends MerossError {
+  static code = 'timeout';
+}
+
+/** Unexpected or rejected message (unparsable response, device ERROR reply...) */
+export class ProtocolError extends MerossError {
+  static code = 'protocol';
+  static retryable = false;
+}
+
+/**
+ * Build the error for a failed Meross HTTP API response
+ */
+export function fromApiStatus(apiStatus, info, data = null) {
+  const status = Number(apiStatus);
+  const options = { apiStatus: Number.isFinite(status) ? status : undefined, data };
+  const message = `Meross API Error ${apiStatus}: ${info}`;
+
+  if (ApiStatus.tokenRejected.includes(status)) {
+    return new AuthExpiredError(message, options);
+  }
+  if (ApiStatus.badCredentials.includes(status)) {
+    return new AuthFailedError(message, options);
+  }
+  if (status === ApiStatus.mfaRequired || status === ApiStatus.mfaWrongCode) {
+    const invalidCode = status === ApiStatus.mfaWrongCode;
+    return new MfaRequiredError(invalidCode
+      ? 'Meross rejected the verification code; enter the current code from your authenticator app'
+      : 'Meross account uses multi-factor authentication; enter the code from your authenticator app',
+    { ...options, invalidCode });
+  }
+  if (status === ApiStatus.wrongRegion) {
+    return new WrongRegionError(message, options);
+  }
+  // The login limit has no dedicated status on every cloud version; its text is stable
+  if (status === ApiStatus.tooManyTokens || /Beyond Login Limit|too frequent/i.test(String(info))) {
+    return new RateLimitedError(message, options);
+  }
+  return new MerossError(message, options);
+}
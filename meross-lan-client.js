@@ -0,0 +1,136 @@
+/*
+ * Meross LAN Client
+ * Talks to a Meross device directly over the local network
+ *
+ * Devices accept the same signed JSON messages they receive over MQTT as an
+ * HTTP POST to http://<device-ip>/config, signed with the account key.
+ * Uses only Node.js built-in modules (http, crypto)
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { NetworkError, ProtocolError, TimeoutError } from './meross-errors.js';
+import Logger from './logger.js';
+
+class MerossLanClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.host - Device IP address (or host name)
+   * @param {string} options.key - Account key used to sign messages
+   * @param {Object} options.ctx - Plugin context (for logging)
+   * @param {number} [options.timeoutMs=3000] - HTTP request timeout
+   */
+  constructor(options) {
+    this.host = options.host;
+    this.key = options.key;
+    this.ctx = options.ctx;
+    this.log = new Logger(options.ctx);
+    Logger.addSecret(this.key);
+    this.timeoutMs = options.timeoutMs || 3000;
+  }
+
+  /**
+   * Generate MD5 hash
+   */
+  _md5(text) {
+    return crypto.createHash('md5').update(text).digest('hex');
+  }
+
+  /**
+   * Build a signed Meross message
+   */
+  _buildMessage(method, namespace, payload) {
+    const messageId = crypto.randomBytes(16).toString('hex');
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    return {
+      header: {
+        from: `http://${this.host}/config`,
+        messageId,
+        method,
+        namespace,
+        timestamp,
+        sign: this._md5(`${messageId}${this.key}${timestamp}`),
+        payloadVersion: 1
+      },
+      payload
+    };
+  }
+
+  /**
+   * Send a request to the device
+   * Resolves with { method, payload, latencyMs } on SETACK/GETACK; rejects on
+   * ERROR, HTTP failure or timeout
+   */
+  request(method, namespace, payload = {}) {
+    const message = this._buildMessage(method, namespace, payload);
+    const body = JSON.stringify(message);
+    const sentAt = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        host: this.host,
+        port: 80,
+        path: '/config',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        }
+      }, (res) => {
+        let responseData = '';
+
+        res.on('data', (chunk) => {
+          responseData += chunk;
+        });
+
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            reject(new ProtocolError(`Device at ${this.host} returned HTTP ${res.statusCode}`, { retryable: true }));
+            return;
+          }
+
+          let reply;
+          try {
+            reply = JSON.parse(responseData);
+          } catch (error) {
+            reject(new ProtocolError(`Failed to parse reply from device at ${this.host}: ${error.message}`, { cause: error }));
+            return;
+          }
+
+          const replyMethod = reply.header && reply.header.method;
+          if (replyMethod === 'ERROR') {
+            const detail = reply.payload && reply.payload.error
+              ? JSON.stringify(reply.payload.error)
+              : 'no details';
+            reject(new ProtocolError(`Device rejected ${namespace} ${method}: ${detail}`, {
+              data: reply.payload ? reply.payload.error : null
+            }));
+            return;
+          }
+
+          resolve({
+            method: replyMethod,
+            payload: reply.payload || {},
+            latencyMs: Date.now() - sentAt
+          });
+        });
+      });
+
+      req.on('error', (error) => {
+        reject(new NetworkError(`LAN request to ${this.host} failed: ${error.message}`, { cause: error }));
+      });
+
+      req.setTimeout(this.timeoutMs, () => {
+        req.destroy();
+        reject(new TimeoutError(`LAN request to ${this.host} timed out after ${this.timeoutMs}ms`));
+      });
+
+      this.log.debug(`Sending ${method} ${namespace} to ${this.host} over LAN`);
+      req.write(body);
+      req.end();
+    });
+  }
+}
+
+export default MerossLanClient;
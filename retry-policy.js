@@ -0,0 +1,129 @@
+/*
+ * Retry Policy
+ * Bounded exponential backoff for operations that may fail transiently
+ *
+ * Stops after maxAttempts or maxElapsedMs, never retries errors marked
+ * retryable = false (bad credentials, unknown device, MFA...), waits at least
+ * an error's retryAfterMs, and can be cancelled with an AbortSignal,
+ * including while waiting between attempts
+ */
+
+class RetryPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts=5] - Total attempts, including the first
+   * @param {number} [options.maxElapsedMs=600000] - Don't start another attempt after this long
+   * @param {number} [options.initialDelayMs=5000] - Wait before the first retry; doubles each time
+   * @param {number} [options.maxDelayMs=300000] - Upper bound for a single wait
+   * @param {Function} [options.isRetryable] - (error) => boolean, defaults to RetryPolicy.isRetryable
+   */
+  constructor(options = {}) {
+    this.maxAttempts = Math.max(1, options.maxAttempts || 5);
+    this.maxElapsedMs = options.maxElapsedMs || 10 * 60 * 1000;
+    this.initialDelayMs = options.initialDelayMs || 5000;
+    this.maxDelayMs = options.maxDelayMs || 5 * 60 * 1000;
+    this.isRetryable = options.isRetryable || RetryPolicy.isRetryable;
+  }
+
+  /**
+   * Errors are retried unless they say otherwise or the run was cancelled
+   */
+  static isRetryable(error) {
+    return !!error && error.retryable !== false && !RetryPolicy.isAbort(error);
+  }
+
+  /**
+   * Check whether an error comes from a cancelled run
+   */
+  static isAbort(error) {
+    return !!error && error.name === 'AbortError';
+  }
+
+  /**
+   * Wait before the given retry (1 = first retry)
+   */
+  delayFor(retry) {
+    return Math.min(this.initialDelayMs * (2 ** (retry - 1)), this.maxDelayMs);
+  }
+
+  /**
+   * Run operation(attempt) until it succeeds or the policy gives up
+   * Non-retryable errors are rethrown as they are; when attempts or time run
+   * out, the error says so and carries the last failure as `cause`
+   * @param {Function} operation - async (attempt) => result
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the run; it rejects with an AbortError
+   * @param {Function} [options.onRetry] - (error, { attempt, delayMs }) before each wait
+   * @param {string} [options.label='Operation'] - Used in the final error message
+   */
+  async run(operation, options = {}) {
+    const { signal, onRetry, label = 'Operation' } = options;
+    const startedAt = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      RetryPolicy._throwIfAborted(signal);
+
+      try {
+        const result = await operation(attempt);
+        RetryPolicy._throwIfAborted(signal); // Cancelled while the attempt was in flight
+        return result;
+      } catch (error) {
+        if (!this.isRetryable(error)) {
+          throw error;
+        }
+
+        const delayMs = Math.max(this.delayFor(attempt), error.retryAfterMs || 0);
+        const elapsedMs = Date.now() - startedAt;
+        if (attempt >= this.maxAttempts || elapsedMs + delayMs > this.maxElapsedMs) {
+          const finalError = new Error(`${label} failed after ${attempt} attempt${attempt > 1 ? 's' : ''} (${Math.round(elapsedMs / 1000)}s): ${error.message}`);
+          finalError.cause = error;
+          finalError.attempts = attempt;
+          finalError.retryable = false;
+          throw finalError;
+        }
+
+        if (onRetry) {
+          onRetry(error, { attempt, delayMs });
+        }
+        await RetryPolicy.sleep(delayMs, signal);
+      }
+    }
+  }
+
+  /**
+   * Wait for ms, rejecting with an AbortError as soon as the signal fires
+   */
+  static sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(RetryPolicy._abortError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(RetryPolicy._abortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  static _throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw RetryPolicy._abortError();
+    }
+  }
+
+  static _abortError() {
+    const error = new Error('Cancelled');
+    error.name = 'AbortError';
+    error.retryable = false;
+    return error;
+  }
+}
+
+export default RetryPolicy;
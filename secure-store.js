@@ -0,0 +1,153 @@
+/*
+ * Secure Store
+ * Encrypts small JSON values (login sessions, secrets) before they are
+ * written to plugin settings
+ *
+ * Uses AES-256-GCM with a random 256-bit key generated on first use and kept
+ * in a file readable only by this OS user (mode 0600) in the plugin data
+ * directory, outside the settings. A settings file on its own can't be
+ * decrypted; anyone who can also read the key file (the same user, root, a
+ * full backup of the home directory) can. Deleting the key file makes stored
+ * values unreadable: the plugin signs in again and asks for the password.
+ * Uses only Node.js built-in modules (crypto, fs, os, path)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const FORMAT_VERSION = 'v2';
+const LEGACY_FORMAT_VERSION = 'v1'; // Key derived from machine identifiers; read only to migrate
+const LEGACY_KEY_SALT = 'ncsender-meross-smart-outlet';
+const PLUGIN_ID = 'com.ncsender.meross-smart-outlet';
+const KEY_FILE_NAME = 'secure-store.key';
+
+let keyFile = null;
+let cachedKey = null;
+let cachedLegacyKey = null;
+
+/**
+ * Per-user ncSender data directory for this plugin, next to the plugins directory
+ */
+function defaultDataDir() {
+  const home = os.homedir();
+  let base;
+  if (process.platform === 'win32') {
+    base = process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+  } else if (process.platform === 'darwin') {
+    base = path.join(home, 'Library', 'Application Support');
+  } else {
+    base = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+  }
+  return path.join(base, 'ncSender', 'plugin-data', PLUGIN_ID);
+}
+
+/**
+ * Use another key file (tests, custom data directories); the key is loaded again on next use
+ */
+export function setKeyFile(file) {
+  keyFile = file;
+  cachedKey = null;
+}
+
+/**
+ * Path of the key file in use
+ */
+export function getKeyFile() {
+  return keyFile || path.join(defaultDataDir(), KEY_FILE_NAME);
+}
+
+/**
+ * Read the key file, or create it with a new random key
+ */
+function loadOrCreateKey(file) {
+  let exists = false;
+  try {
+    const key = Buffer.from(fs.readFileSync(file, 'utf8').trim(), 'base64');
+    if (key.length === 32) return key;
+    exists = true; // Corrupted: replace it, values sealed with it are lost either way
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const key = crypto.randomBytes(32);
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  try {
+    // 'wx' so a process creating the key at the same time doesn't get overwritten
+    fs.writeFileSync(file, key.toString('base64'), { mode: 0o600, flag: exists ? 'w' : 'wx' });
+  } catch (error) {
+    if (error.code === 'EEXIST') return loadOrCreateKey(file);
+    throw error;
+  }
+  fs.chmodSync(file, 0o600); // mode only applies when the file is created
+  return key;
+}
+
+/**
+ * The encryption key (loaded once per process)
+ */
+function getKey() {
+  if (!cachedKey) {
+    cachedKey = loadOrCreateKey(getKeyFile());
+  }
+  return cachedKey;
+}
+
+/**
+ * The key earlier versions derived from machine identifiers, to open values sealed by them
+ */
+function getLegacyKey() {
+  if (!cachedLegacyKey) {
+    let username = '';
+    try {
+      username = os.userInfo().username;
+    } catch (error) {
+      // No passwd entry (some containers)
+    }
+    const machineId = [os.hostname(), os.platform(), os.homedir(), username].join('|');
+    cachedLegacyKey = crypto.scryptSync(machineId, LEGACY_KEY_SALT, 32);
+  }
+  return cachedLegacyKey;
+}
+
+/**
+ * Encrypt a JSON-serializable value into a string safe to store in settings
+ */
+export function sealJson(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [FORMAT_VERSION, iv.toString('base64'), tag.toString('base64'), data.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a string produced by sealJson (or by an earlier version, see isLegacySealed)
+ * Returns null when the value is missing, corrupted or was sealed with another key
+ */
+export function openJson(sealed) {
+  if (typeof sealed !== 'string') return null;
+
+  const parts = sealed.split(':');
+  if (parts.length !== 4 || (parts[0] !== FORMAT_VERSION && parts[0] !== LEGACY_FORMAT_VERSION)) return null;
+
+  try {
+    const key = parts[0] === FORMAT_VERSION ? getKey() : getLegacyKey();
+    const [, iv, tag, data] = parts.map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    const text = Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a value was sealed with the machine-derived key and should be sealed again
+ */
+export function isLegacySealed(sealed) {
+  return typeof sealed === 'string' && sealed.startsWith(`${LEGACY_FORMAT_VERSION}:`);
+}
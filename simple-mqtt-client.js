@@ -1,81 +1,287 @@
 /*
  * Minimal MQTT Client for Meross
  * Uses only Node.js built-in modules (tls, net, crypto)
- * Implements only what we need: connect and publish
+ * Implements only what we need: connect, subscribe, publish and receive
+ *
+ * Transport (options.transport):
+ *   'tls' (default)  - TLS to host:port; options.tls is merged into tls.connect()
+ *                      options (e.g. { ca } for a private broker certificate)
+ *   'tcp'            - plain TCP to host:port, for a local test broker
+ *   function(client) - returns any duplex stream, e.g. from MemoryMqttBroker
+ *
+ * Offline queue (options.offlineQueue = { maxSize, ttlMs }):
+ *   publish() while a background reconnect is pending queues the message and
+ *   sends it in order after CONNACK. Entries expire after ttlMs; a newer
+ *   publish with the same options.key replaces a queued one.
+ *
+ * Events:
+ *   'message' (topic, payload, packet) - inbound PUBLISH; payload is parsed JSON
+ *                                        when possible, otherwise a UTF-8 string
+ *   'online' ({ reconnected })          - CONNACK accepted
+ *   'offline' ()                        - an established connection was lost
+ *   'reconnect' ({ attempt, delayMs })  - a background reconnect has been scheduled
  */
 
 import tls from 'tls';
+import net from 'net';
 import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import Logger from './logger.js';
 
-class SimpleMqttClient {
+class SimpleMqttClient extends EventEmitter {
   constructor(options) {
+    super();
     this.host = options.host;
     this.port = options.port || 2001;
     this.clientId = options.clientId;
     this.username = options.username;
     this.password = options.password;
+    Logger.addSecret(this.password);
     this.keepalive = options.keepalive || 30;
+    this.transport = options.transport || 'tls';
+    this.tlsOptions = options.tls || {};
     this.socket = null;
     this.connected = false;
     this.messageId = 1;
     this.ctx = options.ctx;
+    this.log = new Logger(options.ctx);
     this.pingTimer = null;
+    this.lastPacketAt = 0; // Last time anything (including PINGRESP) arrived from the broker
+    this.ackTimeout = options.ackTimeout || 5000; // ms to wait for PUBACK before retransmitting
+    this.connectTimeout = options.connectTimeout || 10000; // ms from opening the socket to CONNACK
+    this.connackTimer = null;
+    this.maxRetransmits = options.maxRetransmits ?? 3;
+    this.inflight = new Map(); // packet id -> outstanding QoS 1 publish
+    this.pendingConnect = null;
+    this.connectPromise = null;
+    this.inbound = Buffer.alloc(0);
+    
+    // Background reconnection
+    this.reconnectEnabled = options.reconnect !== false;
+    this.reconnectBaseMs = options.reconnectBaseMs || 1000;
+    this.reconnectMaxMs = options.reconnectMaxMs || 60000;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.hasConnected = false; // Only reconnect once a session has been established
+    this.closing = false; // Set by disconnect() to stop reconnecting
+    this.subscriptions = new Map(); // topic -> QoS, restored after reconnect
+    this.pendingAcks = new Map(); // packet id -> outstanding SUBSCRIBE/UNSUBSCRIBE
+    
+    // Outbound queue used while reconnecting (disabled unless configured)
+    this.offlineQueue = options.offlineQueue ? {
+      maxSize: options.offlineQueue.maxSize || 50,
+      ttlMs: options.offlineQueue.ttlMs || 30000
+    } : null;
+    this.queue = [];
   }
 
   /**
    * Connect to MQTT broker
    */
   connect() {
-    return new Promise((resolve, reject) => {
-      this.ctx.log(`Connecting to MQTT broker: ${this.host}:${this.port}`);
+    if (this.connectPromise) {
+      return this.connectPromise;
+    }
+    
+    this.closing = false;
+    this.connectPromise = new Promise((resolve, reject) => {
+      this.log.info(`Connecting to MQTT broker: ${this.host}:${this.port}`);
       
-      let connectResolved = false;
+      this.inbound = Buffer.alloc(0);
+      this.pendingConnect = { resolve, reject };
       
-      this.socket = tls.connect({
-        host: this.host,
-        port: this.port,
-        rejectUnauthorized: true
+      let socket;
+      try {
+        socket = this._createSocket();
+      } catch (error) {
+        this.pendingConnect = null;
+        reject(error);
+        return;
+      }
+      this.socket = socket;
+      
+      // A broker that accepts the socket but never answers CONNECT would leave this
+      // promise pending and stop reconnects; dropping the socket lets close handling retry
+      this.connackTimer = setTimeout(() => {
+        this.connackTimer = null;
+        if (socket !== this.socket || socket.destroyed) return;
+        socket.destroy(new Error(`No CONNACK from MQTT broker within ${this.connectTimeout}ms`));
+      }, this.connectTimeout);
+
+      if (socket.connecting) {
+        socket.on('connect', () => {
+          this.log.debug(`${this._transportName()} connection established, sending CONNECT packet`);
+          this._sendConnect();
+        });
+      } else {
+        // Streams from a transport factory are usable straight away
+        process.nextTick(() => {
+          if (socket === this.socket && !socket.destroyed) {
+            this._sendConnect();
+          }
+        });
+      }
+
+      socket.on('data', (data) => {
+        if (socket !== this.socket) return;
+        this._handleData(data);
       });
 
-      this.socket.on('connect', () => {
-        this.ctx.log('TLS connection established, sending CONNECT packet');
-        this._sendConnect();
+      socket.on('error', (error) => {
+        this.log.error(`MQTT error: ${error.message}`);
+        if (socket !== this.socket) return;
+        this._settleConnect(error);
       });
 
-      this.socket.on('data', (data) => {
-        this._handleData(data, (result) => {
-          connectResolved = true;
-          resolve(result);
-        }, (error) => {
-          connectResolved = true;
-          reject(error);
-        });
+      socket.on('close', (hadError) => {
+        if (socket !== this.socket) return;
+        this._handleClose(hadError);
       });
+    }).finally(() => {
+      this.connectPromise = null;
+    });
+    
+    return this.connectPromise;
+  }
 
-      this.socket.on('error', (error) => {
-        this.ctx.log(`MQTT error: ${error.message}`);
-        if (!connectResolved) {
-          connectResolved = true;
-          reject(error);
-        }
+  /**
+   * Open the underlying stream for the configured transport
+   */
+  _createSocket() {
+    if (typeof this.transport === 'function') {
+      return this.transport(this);
+    }
+    
+    if (this.transport === 'tcp') {
+      return net.connect({ host: this.host, port: this.port });
+    }
+    
+    if (this.transport === 'tls') {
+      return tls.connect({
+        host: this.host,
+        port: this.port,
+        rejectUnauthorized: true,
+        ...this.tlsOptions
       });
+    }
+    
+    throw new Error(`Unknown MQTT transport: ${this.transport}`);
+  }
 
-      this.socket.on('close', (hadError) => {
-        this.connected = false;
-        
-        // Clear ping timer
-        if (this.pingTimer) {
-          clearInterval(this.pingTimer);
-          this.pingTimer = null;
-        }
-        
-        this.ctx.log(`MQTT connection closed${hadError ? ' with error' : ''}`);
-        if (!connectResolved) {
-          connectResolved = true;
-          reject(new Error('MQTT connection closed before CONNACK'));
-        }
+  /**
+   * Human-readable transport name for logs
+   */
+  _transportName() {
+    if (typeof this.transport === 'function') return 'Stream';
+    return this.transport === 'tcp' ? 'TCP' : 'TLS';
+  }
+
+  /**
+   * Handle the socket going away, then reconnect in the background
+   * unless disconnect() was called
+   */
+  _handleClose(hadError) {
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.inbound = Buffer.alloc(0);
+    
+    // Clear ping timer
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer);
+      this.pingTimer = null;
+    }
+    
+    this.log.info(`MQTT connection closed${hadError ? ' with error' : ''}`);
+    this._settleConnect(new Error('MQTT connection closed before CONNACK'));
+    this._failPendingAcks(new Error('MQTT connection closed before SUBACK/UNSUBACK'));
+    
+    const willReconnect = this.reconnectEnabled && this.hasConnected && !this.closing;
+    if (willReconnect) {
+      // Keep QoS 1 publishes and retransmit them once we are back online
+      this._pauseInflight();
+    } else {
+      this._failInflight(new Error('MQTT connection closed before PUBACK'));
+      this._failQueue(new Error('MQTT connection closed, queued publish not sent'));
+    }
+    
+    if (wasConnected) {
+      this.emit('offline');
+    }
+    
+    if (willReconnect) {
+      this._scheduleReconnect();
+    }
+  }
+
+  /**
+   * Schedule a background reconnect with exponential backoff and jitter
+   */
+  _scheduleReconnect() {
+    if (this.reconnectTimer) return;
+    
+    this.reconnectAttempts++;
+    const backoff = Math.min(this.reconnectBaseMs * (2 ** (this.reconnectAttempts - 1)), this.reconnectMaxMs);
+    // Equal jitter: somewhere between half and all of the backoff
+    const delayMs = Math.round(backoff / 2 + Math.random() * (backoff / 2));
+    
+    this.log.info(`MQTT reconnecting in ${delayMs}ms (attempt ${this.reconnectAttempts})`);
+    this.emit('reconnect', { attempt: this.reconnectAttempts, delayMs });
+    
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch((error) => {
+        // The socket close handler schedules the next attempt
+        this.log.warn(`MQTT reconnect attempt ${this.reconnectAttempts} failed: ${error.message}`);
       });
-    });
+    }, delayMs);
+  }
+
+  /**
+   * Skip the remaining backoff and reconnect right away
+   */
+  reconnectNow() {
+    if (this.connected) {
+      return Promise.resolve();
+    }
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    return this.connect();
+  }
+
+  /**
+   * Restore subscriptions and outstanding publishes after a reconnect
+   */
+  _restoreSession() {
+    if (this.subscriptions.size > 0) {
+      const entries = Array.from(this.subscriptions, ([topic, qos]) => ({ topic, qos }));
+      this._sendSubscribe(entries)
+        .then(() => this.log.debug(`Restored ${entries.length} MQTT subscription(s)`))
+        .catch(error => this.log.error(`Failed to restore MQTT subscriptions: ${error.message}`));
+    }
+    
+    for (const [packetId, entry] of this.inflight) {
+      this._transmitInflight(packetId, entry);
+    }
+  }
+
+  /**
+   * Resolve or reject the pending connect() promise exactly once
+   */
+  _settleConnect(error) {
+    if (this.connackTimer) {
+      clearTimeout(this.connackTimer);
+      this.connackTimer = null;
+    }
+    const pending = this.pendingConnect;
+    if (!pending) return;
+    this.pendingConnect = null;
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve();
+    }
   }
 
   /**
@@ -126,30 +332,77 @@ class SimpleMqttClient {
       payload
     ]);
     
-    this.ctx.log(`Sending MQTT CONNECT: clientId=${this.clientId.substring(0, 20)}..., username=${this.username}, packet size=${packet.length}`);
-    this.ctx.log(`CONNECT packet hex: ${packet.toString('hex').substring(0, 200)}...`);
+    this.log.debug(`Sending MQTT CONNECT: clientId=${this.clientId.substring(0, 20)}..., username=${this.username}, packet size=${packet.length}`);
     this.socket.write(packet);
   }
 
   /**
    * Handle incoming MQTT data
+   * The socket is a byte stream: one chunk may hold several packets or only
+   * part of one, so data is buffered and split into complete packets here.
    */
-  _handleData(data, resolve, reject) {
-    // Log raw data for debugging
-    this.ctx.log(`MQTT received ${data.length} bytes: ${data.toString('hex').substring(0, 100)}`);
+  _handleData(data) {
+    this.log.trace(`MQTT received ${data.length} bytes`);
     
-    // Check packet type
-    const packetType = data[0] >> 4;
-    this.ctx.log(`MQTT packet type: ${packetType}`);
+    this.inbound = this.inbound.length > 0 ? Buffer.concat([this.inbound, data]) : data;
+    
+    while (this.inbound.length >= 2) {
+      let remaining;
+      try {
+        remaining = this._decodeLength(this.inbound, 1);
+      } catch (error) {
+        this.log.error(`MQTT framing error: ${error.message}`);
+        this.inbound = Buffer.alloc(0);
+        this.socket.destroy(error);
+        return;
+      }
+      
+      if (!remaining) break; // Remaining length not fully received yet
+      
+      const headerLength = 1 + remaining.bytes;
+      const packetLength = headerLength + remaining.value;
+      if (this.inbound.length < packetLength) break; // Wait for the rest of the packet
+      
+      const firstByte = this.inbound[0];
+      const body = this.inbound.subarray(headerLength, packetLength);
+      this.inbound = this.inbound.subarray(packetLength);
+      
+      try {
+        this._handlePacket(firstByte >> 4, firstByte & 0x0F, body);
+      } catch (error) {
+        // Malformed packet: never let it escape the socket's data handler; the stream
+        // can't be trusted any more, so drop the connection and let reconnect take over
+        this.log.error(`MQTT packet error: ${error.message}`);
+        this.inbound = Buffer.alloc(0);
+        if (this.socket) this.socket.destroy(error);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Handle one complete MQTT packet
+   */
+  _handlePacket(packetType, flags, body) {
+    this.log.trace(`MQTT packet type: ${packetType} (${body.length} bytes)`);
+    this.lastPacketAt = Date.now();
     
     if (packetType === 2) { // CONNACK
-      const returnCode = data[3];
-      this.ctx.log(`MQTT CONNACK return code: ${returnCode}`);
+      const returnCode = body[1];
+      this.log.debug(`MQTT CONNACK return code: ${returnCode}`);
       if (returnCode === 0) {
+        const reconnected = this.hasConnected;
         this.connected = true;
-        this.ctx.log('MQTT connected successfully');
+        this.hasConnected = true;
+        this.reconnectAttempts = 0;
+        this.log.info('MQTT connected successfully');
         this._startPingTimer();
-        resolve();
+        if (reconnected) {
+          this._restoreSession();
+        }
+        this._flushQueue();
+        this._settleConnect();
+        this.emit('online', { reconnected });
       } else {
         const errors = {
           1: 'Connection refused: unacceptable protocol version',
@@ -158,32 +411,95 @@ class SimpleMqttClient {
           4: 'Connection refused: bad username or password',
           5: 'Connection refused: not authorized'
         };
-        reject(new Error(`MQTT connection refused: ${errors[returnCode] || returnCode}`));
+        this._settleConnect(new Error(`MQTT connection refused: ${errors[returnCode] || returnCode}`));
+        this.socket.destroy();
       }
     } else if (packetType === 13) { // PINGRESP
-      this.ctx.log('MQTT PINGRESP received');
+      this.log.trace('MQTT PINGRESP received');
     } else if (packetType === 9) { // SUBACK
-      this.ctx.log('MQTT SUBACK received');
+      this._handleSuback(body);
+    } else if (packetType === 11) { // UNSUBACK
+      this._handleUnsuback(body.readUInt16BE(0));
     } else if (packetType === 3) { // PUBLISH
-      this.ctx.log(`MQTT PUBLISH received: ${data.length} bytes`);
+      this._handlePublish(flags, body);
+    } else if (packetType === 4) { // PUBACK
+      this._handlePuback(body.readUInt16BE(0));
     }
     // We're not handling other packets for now
   }
   
+  /**
+   * Decode an inbound PUBLISH packet and emit it as a 'message' event
+   */
+  _handlePublish(flags, body) {
+    const qos = (flags >> 1) & 0x03;
+    const topicLength = body.readUInt16BE(0);
+    const topic = body.toString('utf8', 2, 2 + topicLength);
+    let offset = 2 + topicLength;
+    
+    // Packet identifier is only present for QoS 1 and 2
+    let packetId = null;
+    if (qos > 0) {
+      packetId = body.readUInt16BE(offset);
+      offset += 2;
+    }
+    
+    const raw = body.subarray(offset);
+    this.log.debug(`MQTT PUBLISH received on ${topic}: ${raw.length} bytes (QoS ${qos})`);
+    
+    if (qos === 1) {
+      // PUBACK: 0x40 0x02 + packet id
+      this.socket.write(Buffer.from([0x40, 0x02, packetId >> 8, packetId & 0xFF]));
+    }
+    
+    const text = raw.toString('utf8');
+    let payload = text;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      this.log.debug(`MQTT payload on ${topic} is not JSON, delivering as text`);
+    }
+    
+    try {
+      this.emit('message', topic, payload, {
+        topic,
+        qos,
+        packetId,
+        dup: (flags & 0x08) !== 0,
+        retain: (flags & 0x01) !== 0,
+        raw
+      });
+    } catch (error) {
+      // A listener bug is not a broken connection; dropping it would only redeliver
+      // (retained) messages to the same listener in a reconnect loop
+      this.log.error(`MQTT message listener failed on ${topic}: ${error.message}`);
+    }
+  }
+  
   /**
    * Start keepalive ping timer
    */
   _startPingTimer() {
     // Send ping at half the keepalive interval
     const pingInterval = (this.keepalive * 1000) / 2;
+    this.lastPacketAt = Date.now();
     
     this.pingTimer = setInterval(() => {
-      if (this.connected && this.socket) {
-        this._sendPing();
+      if (!this.connected || !this.socket) return;
+      
+      // A half-open connection accepts writes but never answers; if the broker
+      // has been silent for a whole keepalive window, drop it and reconnect
+      const silentMs = Date.now() - this.lastPacketAt;
+      if (silentMs > this.keepalive * 1000) {
+        this.log.warn(`No MQTT traffic for ${Math.round(silentMs / 1000)}s (PINGRESP missing), dropping connection`);
+        this.socket.destroy(new Error('MQTT broker stopped responding'));
+        return;
       }
+      
+      this._sendPing();
     }, pingInterval);
     
-    this.ctx.log(`Keepalive timer started: ping every ${pingInterval / 1000}s`);
+    this.log.debug(`Keepalive timer started: ping every ${pingInterval / 1000}s`);
   }
   
   /**
@@ -194,54 +510,377 @@ class SimpleMqttClient {
     
     // PINGREQ packet: 0xC0 0x00
     this.socket.write(Buffer.from([0xC0, 0x00]));
-    this.ctx.log('Sent MQTT PINGREQ');
+    this.log.trace('Sent MQTT PINGREQ');
   }
 
   /**
-   * Subscribe to a topic
+   * Subscribe to one or more topics in a single SUBSCRIBE packet
+   * Accepts a topic, an array of topics, or an array of { topic, qos }.
+   * Resolves with the granted QoS per topic; rejects if the broker refuses any.
+   * Accepted subscriptions are remembered and restored after a reconnect.
    */
-  subscribe(topic) {
+  subscribe(topics) {
     if (!this.connected) {
-      throw new Error('Not connected to MQTT broker');
+      return Promise.reject(new Error('Not connected to MQTT broker'));
     }
 
-    const topicBuf = this._encodeString(topic);
-    const messageId = this.messageId++;
+    const entries = this._normalizeTopics(topics);
+    if (!entries) {
+      return Promise.reject(new Error('At least one topic is required'));
+    }
+    entries.forEach(({ topic, qos }) => this.subscriptions.set(topic, qos));
+    
+    return this._sendSubscribe(entries).then((granted) => {
+      entries.forEach(({ topic }) => this.log.debug(`Subscribed to ${topic}`));
+      return granted;
+    }).catch((error) => {
+      // Don't restore subscriptions the broker rejected
+      if (error.granted) {
+        entries.forEach(({ topic }, index) => {
+          if (error.granted[index] === 0x80) {
+            this.subscriptions.delete(topic);
+          }
+        });
+      }
+      throw error;
+    });
+  }
+
+  /**
+   * Unsubscribe from one or more topics in a single UNSUBSCRIBE packet
+   * Resolves once the broker's UNSUBACK arrives
+   */
+  unsubscribe(topics) {
+    if (!this.connected) {
+      return Promise.reject(new Error('Not connected to MQTT broker'));
+    }
+
+    const entries = this._normalizeTopics(topics);
+    if (!entries) {
+      return Promise.reject(new Error('At least one topic is required'));
+    }
+    entries.forEach(({ topic }) => this.subscriptions.delete(topic));
+    
+    const topicBufs = entries.map(({ topic }) => this._encodeString(topic));
+    const messageId = this._nextMessageId();
+    const remainingLength = 2 + topicBufs.reduce((sum, buf) => sum + buf.length, 0);
+    
+    const packet = Buffer.concat([
+      Buffer.from([0xA2]), // UNSUBSCRIBE packet type
+      this._encodeLength(remainingLength),
+      Buffer.from([messageId >> 8, messageId & 0xFF]), // Message ID (2 bytes)
+      ...topicBufs
+    ]);
+    
+    return this._awaitAck(messageId, 'UNSUBACK', entries, packet).then(() => {
+      entries.forEach(({ topic }) => this.log.debug(`Unsubscribed from ${topic}`));
+    });
+  }
+
+  /**
+   * Normalize subscribe/unsubscribe arguments to [{ topic, qos }]
+   * Returns null when no topic is given
+   */
+  _normalizeTopics(topics) {
+    const list = Array.isArray(topics) ? topics : [topics];
+    if (list.length === 0) {
+      return null;
+    }
+    return list.map(item => (typeof item === 'string'
+      ? { topic: item, qos: 0 }
+      : { topic: item.topic, qos: item.qos === 1 ? 1 : 0 }));
+  }
+
+  /**
+   * Write a SUBSCRIBE packet and wait for its SUBACK
+   */
+  _sendSubscribe(entries) {
+    const messageId = this._nextMessageId();
+    const topicParts = entries.map(({ topic, qos }) => Buffer.concat([
+      this._encodeString(topic),
+      Buffer.from([qos]) // Requested QoS
+    ]));
+    const remainingLength = 2 + topicParts.reduce((sum, buf) => sum + buf.length, 0);
     
-    // Build SUBSCRIBE packet with QoS 0
     const packet = Buffer.concat([
       Buffer.from([0x82]), // SUBSCRIBE packet type
-      this._encodeLength(2 + topicBuf.length + 1), // +2 for messageId, +1 for QoS
+      this._encodeLength(remainingLength),
       Buffer.from([messageId >> 8, messageId & 0xFF]), // Message ID (2 bytes)
-      topicBuf,
-      Buffer.from([0x00]) // QoS 0
+      ...topicParts
     ]);
     
-    this.socket.write(packet);
-    this.ctx.log(`Subscribed to ${topic}`);
+    return this._awaitAck(messageId, 'SUBACK', entries, packet);
+  }
+
+  /**
+   * Write a packet and track it until the matching SUBACK/UNSUBACK arrives
+   */
+  _awaitAck(messageId, ackType, entries, packet) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingAcks.delete(messageId);
+        reject(new Error(`No ${ackType} from broker for packet ${messageId}`));
+      }, this.ackTimeout);
+      
+      this.pendingAcks.set(messageId, { ackType, entries, resolve, reject, timer });
+      this.socket.write(packet);
+    });
+  }
+
+  /**
+   * Handle SUBACK: one return code per requested topic, 0x80 means refused
+   */
+  _handleSuback(body) {
+    const messageId = body.readUInt16BE(0);
+    const pending = this.pendingAcks.get(messageId);
+    if (!pending || pending.ackType !== 'SUBACK') {
+      this.log.warn(`MQTT SUBACK for unknown packet ${messageId}`);
+      return;
+    }
+    
+    clearTimeout(pending.timer);
+    this.pendingAcks.delete(messageId);
+    
+    const granted = Array.from(body.subarray(2));
+    const refused = pending.entries.filter((_, index) => granted[index] === 0x80 || granted[index] === undefined);
+    
+    if (refused.length > 0) {
+      const error = new Error(`MQTT subscription refused: ${refused.map(entry => entry.topic).join(', ')}`);
+      error.granted = granted;
+      pending.reject(error);
+      return;
+    }
+    
+    this.log.debug(`MQTT SUBACK received (granted QoS ${granted.join(', ')})`);
+    pending.resolve(granted);
+  }
+
+  /**
+   * Handle UNSUBACK
+   */
+  _handleUnsuback(messageId) {
+    const pending = this.pendingAcks.get(messageId);
+    if (!pending || pending.ackType !== 'UNSUBACK') {
+      this.log.warn(`MQTT UNSUBACK for unknown packet ${messageId}`);
+      return;
+    }
+    
+    clearTimeout(pending.timer);
+    this.pendingAcks.delete(messageId);
+    pending.resolve();
+  }
+
+  /**
+   * Reject every outstanding SUBSCRIBE/UNSUBSCRIBE
+   */
+  _failPendingAcks(error) {
+    for (const pending of this.pendingAcks.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    }
+    this.pendingAcks.clear();
   }
 
   /**
    * Publish a message to a topic
+   * QoS 0 resolves once written. QoS 1 resolves with { packetId, attempts }
+   * when the broker's PUBACK arrives, retransmitting with DUP set on timeout.
    */
-  publish(topic, message) {
+  publish(topic, message, options = {}) {
     if (!this.connected) {
-      throw new Error('Not connected to MQTT broker');
+      if (this.canQueueOffline()) {
+        return this._enqueue(topic, message, options);
+      }
+      return Promise.reject(new Error('Not connected to MQTT broker'));
     }
 
+    const qos = options.qos === 1 ? 1 : 0;
     const topicBuf = this._encodeString(topic);
     const messageBuf = Buffer.from(JSON.stringify(message));
     
-    // Build PUBLISH packet with QoS 0 (fire and forget)
+    if (qos === 0) {
+      // Build PUBLISH packet with QoS 0 (fire and forget)
+      const packet = Buffer.concat([
+        Buffer.from([0x30]), // PUBLISH packet type, QoS 0
+        this._encodeLength(topicBuf.length + messageBuf.length),
+        topicBuf,
+        messageBuf
+      ]);
+      
+      this.socket.write(packet);
+      this.log.debug(`Published to ${topic}`);
+      return Promise.resolve({ packetId: null, attempts: 1 });
+    }
+    
+    const packetId = this._nextMessageId();
     const packet = Buffer.concat([
-      Buffer.from([0x30]), // PUBLISH packet type, QoS 0
-      this._encodeLength(topicBuf.length + messageBuf.length),
+      Buffer.from([0x32]), // PUBLISH packet type, QoS 1
+      this._encodeLength(topicBuf.length + 2 + messageBuf.length),
       topicBuf,
+      Buffer.from([packetId >> 8, packetId & 0xFF]), // Packet ID (2 bytes)
       messageBuf
     ]);
     
-    this.socket.write(packet);
-    this.ctx.log(`Published to ${topic}`);
+    return new Promise((resolve, reject) => {
+      const entry = { topic, packet, attempts: 0, timer: null, resolve, reject };
+      this.inflight.set(packetId, entry);
+      this._transmitInflight(packetId, entry);
+    });
+  }
+
+  /**
+   * Check if publish() would queue instead of rejecting while disconnected
+   * Only true while a background reconnect is expected to bring us back
+   */
+  canQueueOffline() {
+    return this.offlineQueue !== null && this.reconnectEnabled && this.hasConnected && !this.closing;
+  }
+
+  /**
+   * Queue a publish until the connection is back
+   * Resolves like publish() once sent, or with { superseded: true } if a newer
+   * publish with the same key replaced it; rejects if it expires or is evicted.
+   */
+  _enqueue(topic, message, options) {
+    if (options.key) {
+      const stale = this.queue.filter(entry => entry.options.key === options.key);
+      stale.forEach(entry => {
+        this._removeQueued(entry);
+        this.log.info(`Dropped queued publish to ${entry.topic}: superseded by a newer one`);
+        entry.resolve({ packetId: null, attempts: 0, superseded: true });
+      });
+    }
+    
+    if (this.queue.length >= this.offlineQueue.maxSize) {
+      const oldest = this.queue[0];
+      this._removeQueued(oldest);
+      oldest.reject(new Error(`Offline queue full (${this.offlineQueue.maxSize}), dropped publish to ${oldest.topic}`));
+    }
+    
+    return new Promise((resolve, reject) => {
+      const ttlMs = options.ttlMs || this.offlineQueue.ttlMs;
+      const entry = { topic, message, options, resolve, reject, timer: null };
+      
+      entry.timer = setTimeout(() => {
+        this._removeQueued(entry);
+        reject(new Error(`Publish to ${topic} expired after ${ttlMs}ms offline`));
+      }, ttlMs);
+      
+      this.queue.push(entry);
+      this.log.info(`MQTT offline, queued publish to ${topic} (${this.queue.length} queued)`);
+    });
+  }
+
+  /**
+   * Remove an entry from the offline queue and stop its expiry timer
+   */
+  _removeQueued(entry) {
+    clearTimeout(entry.timer);
+    const index = this.queue.indexOf(entry);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    }
+  }
+
+  /**
+   * Send queued publishes in the order they were made
+   */
+  _flushQueue() {
+    if (this.queue.length === 0) return;
+    
+    const entries = this.queue.splice(0);
+    this.log.info(`Sending ${entries.length} queued MQTT publish(es)`);
+    
+    for (const entry of entries) {
+      clearTimeout(entry.timer);
+      try {
+        this.publish(entry.topic, entry.message, entry.options).then(entry.resolve, entry.reject);
+      } catch (error) {
+        entry.reject(error);
+      }
+    }
+  }
+
+  /**
+   * Reject everything still waiting in the offline queue
+   */
+  _failQueue(error) {
+    const entries = this.queue.splice(0);
+    for (const entry of entries) {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    }
+  }
+
+  /**
+   * Write an outstanding QoS 1 publish and arm its retransmit timer
+   */
+  _transmitInflight(packetId, entry) {
+    entry.attempts++;
+    
+    if (entry.attempts > 1) {
+      entry.packet[0] |= 0x08; // DUP flag on retransmissions
+      this.log.warn(`No PUBACK for packet ${packetId}, retransmitting to ${entry.topic} (attempt ${entry.attempts})`);
+    }
+    
+    // Armed before writing: a PUBACK handled within write() must find the timer to clear
+    entry.timer = setTimeout(() => {
+      if (entry.attempts > this.maxRetransmits) {
+        this.inflight.delete(packetId);
+        entry.reject(new Error(`No PUBACK from broker for packet ${packetId} after ${entry.attempts} attempts`));
+        return;
+      }
+      this._transmitInflight(packetId, entry);
+    }, this.ackTimeout);
+
+    this.socket.write(entry.packet);
+    this.log.debug(`Published to ${entry.topic} (QoS 1, packet ${packetId})`);
+  }
+
+  /**
+   * Handle PUBACK for an outstanding QoS 1 publish
+   */
+  _handlePuback(packetId) {
+    const entry = this.inflight.get(packetId);
+    if (!entry) {
+      this.log.warn(`MQTT PUBACK for unknown packet ${packetId}`);
+      return;
+    }
+    
+    clearTimeout(entry.timer);
+    this.inflight.delete(packetId);
+    this.log.trace(`MQTT PUBACK received for packet ${packetId}`);
+    entry.resolve({ packetId, attempts: entry.attempts });
+  }
+
+  /**
+   * Stop retransmit timers while offline; entries are resent on reconnect
+   */
+  _pauseInflight() {
+    for (const entry of this.inflight.values()) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+  }
+
+  /**
+   * Reject every outstanding QoS 1 publish
+   */
+  _failInflight(error) {
+    for (const entry of this.inflight.values()) {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    }
+    this.inflight.clear();
+  }
+
+  /**
+   * Next MQTT packet identifier (1-65535, 0 is not allowed)
+   */
+  _nextMessageId() {
+    const id = this.messageId;
+    this.messageId = id >= 0xFFFF ? 1 : id + 1;
+    return id;
   }
 
   /**
@@ -270,17 +909,49 @@ class SimpleMqttClient {
     return Buffer.from(bytes);
   }
 
+  /**
+   * Decode remaining length starting at offset
+   * Returns { value, bytes } or null if the buffer ends mid-field
+   */
+  _decodeLength(buffer, offset) {
+    let value = 0;
+    let multiplier = 1;
+    for (let i = 0; i < 4; i++) {
+      if (offset + i >= buffer.length) {
+        return null;
+      }
+      const byte = buffer[offset + i];
+      value += (byte & 0x7F) * multiplier;
+      if ((byte & 0x80) === 0) {
+        return { value, bytes: i + 1 };
+      }
+      multiplier *= 128;
+    }
+    throw new Error('Malformed remaining length');
+  }
+
   /**
    * Disconnect from broker
    */
   disconnect() {
+    this.closing = true;
+    
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    
     // Clear ping timer
     if (this.pingTimer) {
       clearInterval(this.pingTimer);
       this.pingTimer = null;
     }
     
-    if (this.socket) {
+    this._failInflight(new Error('MQTT client disconnected'));
+    this._failPendingAcks(new Error('MQTT client disconnected'));
+    this._failQueue(new Error('MQTT client disconnected'));
+    
+    if (this.socket && !this.socket.destroyed) {
       // Send DISCONNECT packet
       this.socket.write(Buffer.from([0xE0, 0x00]));
       this.socket.end();
@@ -0,0 +1,138 @@
+/*
+ * Job energy meter: integration between samples, runtime threshold and stop()
+ * Date.now is driven by the tests; sample() is called directly instead of by the interval
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import JobEnergyMeter from '../job-energy-meter.js';
+
+const SECOND = 1000;
+const HOUR = 3600 * SECOND;
+const T0 = Date.UTC(2026, 0, 1); // Job start; times in the tests are offsets from it
+
+describe('JobEnergyMeter', () => {
+  let now;
+
+  beforeEach((t) => {
+    now = T0;
+    t.mock.method(Date, 'now', () => now);
+  });
+
+  /**
+   * Meter for one accessory whose readings are taken from a list, one per sample
+   */
+  function meterWith(readings, options = {}) {
+    const queue = [...readings];
+    return new JobEnergyMeter({
+      accessories: [{ deviceName: 'Spindle plug', outlets: 'Spindle' }],
+      readPower: async () => {
+        const next = queue.shift();
+        if (next instanceof Error) throw next;
+        return next;
+      },
+      ...options
+    });
+  }
+
+  /**
+   * Start the job at T0 and take one sample at each offset (ms)
+   */
+  async function sampleAt(meter, offsets) {
+    meter.startedAt = T0;
+    for (const offset of offsets) {
+      now = T0 + offset;
+      await meter.sample();
+    }
+  }
+
+  it('integrates power between samples with the trapezoid rule', async () => {
+    const meter = meterWith([100, 300, 300]);
+    await sampleAt(meter, [0, HOUR, 2 * HOUR]);
+
+    const report = meter.stop();
+
+    // (100 + 300) / 2 W for an hour, then 300 W for an hour
+    const [accessory] = report.accessories;
+    assert.equal(accessory.kWh, 0.5);
+    assert.equal(report.totalKWh, 0.5);
+    assert.equal(accessory.peakWatts, 300);
+    assert.equal(accessory.samples, 3);
+    assert.equal(report.durationMs, 2 * HOUR);
+  });
+
+  it('counts runtime only while the average draw reaches activeWatts', async () => {
+    const meter = meterWith([0, 1, 100, 100], { activeWatts: 2 });
+    await sampleAt(meter, [0, 10 * SECOND, 20 * SECOND, 30 * SECOND]);
+
+    const [accessory] = meter.stop().accessories;
+
+    // 0.5 W average is idle, then 50.5 W and 100 W count
+    assert.equal(accessory.runtimeMs, 20 * SECOND);
+  });
+
+  it('extends the last reading to the end of the job without counting a sample', async () => {
+    const meter = meterWith([100]);
+    await sampleAt(meter, [0]);
+
+    now = T0 + HOUR / 2;
+    const report = meter.stop('job end');
+
+    const [accessory] = report.accessories;
+    assert.equal(accessory.kWh, 0.05);
+    assert.equal(accessory.runtimeMs, HOUR / 2);
+    assert.equal(accessory.samples, 1);
+    assert.equal(report.reason, 'job end');
+    assert.equal(report.endedAt, T0 + HOUR / 2);
+  });
+
+  it('skips failed and unknown readings and counts them as missed', async () => {
+    const meter = meterWith([100, new Error('timeout'), null, 'n/a', 100]);
+    await sampleAt(meter, [0, 1 * SECOND, 2 * SECOND, 3 * SECOND, HOUR]);
+
+    const [accessory] = meter.stop().accessories;
+
+    assert.equal(accessory.samples, 2);
+    assert.equal(accessory.missedSamples, 3);
+    assert.equal(accessory.kWh, 0.1);
+  });
+
+  it('ignores a reading that arrives after the job ended', async () => {
+    let resolveReading;
+    const meter = new JobEnergyMeter({
+      accessories: [{ deviceName: 'Spindle plug', outlets: 'Spindle' }],
+      readPower: () => new Promise(resolve => {
+        resolveReading = resolve;
+      })
+    });
+    meter.startedAt = T0;
+
+    const sampling = meter.sample();
+    now = T0 + HOUR;
+    const report = meter.stop();
+    resolveReading(500);
+    await sampling;
+
+    assert.equal(report.accessories[0].samples, 0);
+    assert.equal(report.totalKWh, 0);
+    assert.equal(meter.accessories[0].samples, 0);
+  });
+
+  it('reports nothing for a job with no readings', () => {
+    const meter = meterWith([]);
+
+    const report = meter.stop();
+
+    assert.equal(report.totalKWh, 0);
+    assert.equal(report.durationMs, 0);
+    assert.deepEqual(report.accessories[0], {
+      deviceName: 'Spindle plug',
+      outlets: 'Spindle',
+      kWh: 0,
+      runtimeMs: 0,
+      peakWatts: 0,
+      samples: 0,
+      missedSamples: 0
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/*
+ * Logger: secret redaction and levels
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Logger from '../logger.js';
+
+describe('Logger.redact', () => {
+  afterEach(() => {
+    Logger.secrets.clear();
+  });
+
+  it('masks secret JSON fields, including the account key', () => {
+    const text = JSON.stringify({ token: 'abc123', key: 'k3y', userid: '42', nested: { password: 'p"w' } });
+
+    assert.equal(Logger.redact(text), '{"token":"[redacted]","key":"[redacted]","userid":"42","nested":{"password":"[redacted]"}}');
+  });
+
+  it('masks named assignments', () => {
+    assert.equal(Logger.redact('login with password=hunter2&mfaCode=123456'), 'login with password=[redacted]&mfaCode=[redacted]');
+    assert.equal(Logger.redact('offlineKey: 0123abcd, region: eu'), 'offlineKey: [redacted], region: eu');
+    assert.equal(Logger.redact('token = t0k3n; sign=ff00'), 'token = [redacted]; sign=[redacted]');
+    assert.equal(Logger.redact('accountKey=s3cret'), 'accountKey=[redacted]');
+  });
+
+  it('masks Basic and Bearer credentials', () => {
+    assert.equal(Logger.redact('Authorization: Basic dXNlcjpwYXNz'), 'Authorization: Basic [redacted]');
+    assert.equal(Logger.redact('Bearer eyJhbGciOi.J9x_y-z'), 'Bearer [redacted]');
+  });
+
+  it('keeps only the first character of email addresses', () => {
+    assert.equal(Logger.redact('Attempting login for: someone@example.com'), 'Attempting login for: s***@example.com');
+  });
+
+  it('masks registered secrets wherever they appear', () => {
+    Logger.addSecret('device-key-1234');
+    Logger.addSecret('short'); // Too short to register
+
+    assert.equal(Logger.redact('signed with device-key-1234 (device-key-1234)'), 'signed with [redacted] ([redacted])');
+    assert.equal(Logger.redact('a short message'), 'a short message');
+  });
+
+  it('leaves ordinary text alone', () => {
+    const lines = [
+      'Mapped key: Enter to outlet 1',
+      'Toggled key=outlet on Spindle plug',
+      'keyboard shortcut saved',
+      'Using the token bucket throttle',
+      'Password Required (enter it in the plugin settings)',
+      '{"keyName":"Enter","channel":1}',
+      'Device Spindle plug is now online'
+    ];
+
+    for (const line of lines) {
+      assert.equal(Logger.redact(line), line);
+    }
+  });
+});
+
+describe('Logger levels', () => {
+  afterEach(() => {
+    Logger.setLevel('info');
+  });
+
+  it('drops messages above the level and redacts the rest', () => {
+    const lines = [];
+    const log = new Logger({ log: line => lines.push(line) });
+    Logger.setLevel('warn');
+
+    log.info('not shown');
+    log.warn('password=hunter2', { token: 'abc' });
+    log.error(new Error('failed'));
+
+    assert.deepEqual(lines, ['password=[redacted] {"token":"[redacted]"}', 'failed']);
+  });
+
+  it('falls back to info for unknown levels and stays quiet without a ctx', () => {
+    Logger.setLevel('verbose');
+    assert.equal(Logger.level, 'info');
+
+    assert.doesNotThrow(() => new Logger(null).error('nowhere to go'));
+  });
+});
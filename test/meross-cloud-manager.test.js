@@ -0,0 +1,270 @@
+/*
+ * MerossCloudManager on the in-memory broker
+ * A fake device answers commands on /appliance/<uuid>/subscribe; no Meross account involved
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import MerossCloudManager from '../meross-cloud-manager.js';
+import MemoryMqttBroker from '../memory-mqtt-broker.js';
+import { ProtocolError, RateLimitedError, TimeoutError } from '../meross-errors.js';
+
+const USER_ID = '1000';
+const PLUG = { devName: 'Spindle plug', uuid: 'plug0000000000000000000000000001', channels: [{}, {}, {}] };
+const VACUUM = { devName: 'Vacuum plug', uuid: 'plug0000000000000000000000000002', channels: [{}] };
+
+const managers = [];
+
+/**
+ * Manager with a cached login, talking to the broker
+ */
+function createManager(broker, options = {}) {
+  const manager = new MerossCloudManager(null, {
+    replyTimeoutMs: 200,
+    mqtt: { transport: () => broker.createConnection(), reconnectBaseMs: 10, reconnectMaxMs: 20 },
+    ...options
+  });
+  manager._useCachedAuth({ token: 'token', key: 'device-key', userId: USER_ID, mqttDomain: 'broker.local', domain: 'https://cloud.local' });
+  manager.connected = true;
+  managers.push(manager);
+  return manager;
+}
+
+/**
+ * Answer the device's commands; reply(message) returns { method, payload, delayMs, messageId }
+ * (all optional but method) or null to stay silent
+ */
+function simulateDevice(broker, device, reply = message => ({ method: `${message.header.method}ACK`, payload: {} })) {
+  broker.on('publish', (topic, payload) => {
+    if (topic !== `/appliance/${device.uuid}/subscribe`) return;
+    const message = JSON.parse(payload.toString());
+    const response = reply(message);
+    if (!response) return;
+    const send = () => broker.publish(message.header.from, {
+      header: {
+        ...message.header,
+        method: response.method,
+        messageId: response.messageId || message.header.messageId,
+        from: `/appliance/${device.uuid}/publish`
+      },
+      payload: response.payload
+    });
+    if (response.delayMs) {
+      setTimeout(send, response.delayMs);
+    } else {
+      send();
+    }
+  });
+}
+
+/**
+ * Push from a device on the account-wide topic, as the cloud sends button presses
+ */
+function pushFrom(broker, uuid, namespace, payload) {
+  broker.publish(`/app/${USER_ID}/subscribe`, {
+    header: { method: 'PUSH', namespace, messageId: `push-${Date.now()}`, from: `/appliance/${uuid}/publish` },
+    payload
+  });
+}
+
+afterEach(async () => {
+  await Promise.all(managers.splice(0).map(manager => manager.disconnect()));
+});
+
+describe('temporary device handles', () => {
+  it('read a device without replacing its registered handle', async () => {
+    const broker = new MemoryMqttBroker();
+    simulateDevice(broker, PLUG, () => ({
+      method: 'GETACK',
+      payload: { all: { digest: { togglex: [{ channel: 1, onoff: 1, lmTime: 0 }] } } }
+    }));
+    const manager = createManager(broker);
+    const mapped = manager.addDevice(PLUG, { transportMode: 'cloud' });
+    await mapped.connect();
+
+    const temporary = manager.createTemporaryDevice(PLUG, { transportMode: 'cloud' });
+    const other = manager.createTemporaryDevice(PLUG, { transportMode: 'cloud' });
+    await Promise.all([temporary.getState(), other.getState()]);
+    temporary.release();
+    other.release();
+
+    assert.equal(mapped.isReady(), true);
+    assert.equal(manager.devices.get(PLUG.uuid), mapped);
+
+    const change = once(mapped, 'stateChange');
+    pushFrom(broker, PLUG.uuid, 'Appliance.Control.ToggleX', { togglex: [{ channel: 2, onoff: 1, lmTime: 0 }] });
+    const [channel, state] = await change;
+    assert.equal(channel, 2);
+    assert.equal(state.onoff, 1);
+  });
+});
+
+describe('command replies', () => {
+  const toggle = { togglex: { channel: 1, onoff: 1 } };
+
+  it('settles each command with the reply that carries its messageId', async () => {
+    const broker = new MemoryMqttBroker();
+    // The slow device answers last, and a stray reply with an unknown messageId comes first
+    simulateDevice(broker, PLUG, message => ({ method: 'SETACK', payload: { echo: message.payload }, delayMs: 40 }));
+    simulateDevice(broker, VACUUM, () => ({ method: 'SETACK', payload: { stray: true }, messageId: 'unknown' }));
+    simulateDevice(broker, VACUUM, message => ({ method: 'SETACK', payload: { echo: message.payload }, delayMs: 10 }));
+    const manager = createManager(broker);
+    await manager.connectMqtt();
+
+    const [plug, vacuum] = await Promise.all([
+      manager.sendViaMqtt(PLUG, 'Appliance.Control.ToggleX', toggle),
+      manager.sendViaMqtt(VACUUM, 'Appliance.Control.ToggleX', { togglex: { channel: 0, onoff: 1 } })
+    ]);
+
+    assert.equal(plug.method, 'SETACK');
+    assert.deepEqual(plug.payload.echo, toggle);
+    assert.deepEqual(vacuum.payload.echo, { togglex: { channel: 0, onoff: 1 } });
+    assert.ok(plug.latencyMs >= vacuum.latencyMs);
+    assert.equal(manager.pendingReplies.size, 0);
+  });
+
+  it('rejects with the error a device sends back', async () => {
+    const broker = new MemoryMqttBroker();
+    simulateDevice(broker, PLUG, () => ({ method: 'ERROR', payload: { error: { code: 5000, detail: 'bad channel' } } }));
+    const manager = createManager(broker);
+    await manager.connectMqtt();
+
+    const error = await manager.sendViaMqtt(PLUG, 'Appliance.Control.ToggleX', toggle).catch(e => e);
+
+    assert.ok(error instanceof ProtocolError);
+    assert.match(error.message, /bad channel/);
+    assert.deepEqual(error.data, { code: 5000, detail: 'bad channel' });
+  });
+
+  it('rejects with TimeoutError when the device never replies', async () => {
+    const broker = new MemoryMqttBroker();
+    simulateDevice(broker, PLUG, () => null);
+    const manager = createManager(broker, {
+      replyTimeoutMs: 50,
+      mqtt: { transport: () => broker.createConnection() }
+    });
+    await manager.connectMqtt();
+
+    const error = await manager.sendViaMqtt(PLUG, 'Appliance.Control.ToggleX', toggle).catch(e => e);
+
+    assert.ok(error instanceof TimeoutError);
+    assert.match(error.message, /No reply from Spindle plug to Appliance\.Control\.ToggleX SET within 50ms/);
+    assert.equal(manager.pendingReplies.size, 0);
+  });
+});
+
+describe('device pushes', () => {
+  /**
+   * Manager with handles for the plug and the vacuum, each recording its state changes
+   */
+  async function managerWithHandles(broker) {
+    const manager = createManager(broker);
+    const changes = [];
+    for (const device of [PLUG, VACUUM]) {
+      const handle = manager.addDevice(device, { transportMode: 'cloud' });
+      handle.on('stateChange', (channel, state, detail) => changes.push({ device: device.devName, channel, onoff: state.onoff, source: detail.source }));
+      await handle.connect();
+    }
+    return { manager, changes };
+  }
+
+  it('routes a push to the handle of the device that sent it', async () => {
+    const broker = new MemoryMqttBroker();
+    const { manager, changes } = await managerWithHandles(broker);
+
+    const change = once(manager.devices.get(VACUUM.uuid), 'stateChange');
+    pushFrom(broker, VACUUM.uuid, 'Appliance.Control.ToggleX', { togglex: [{ channel: 0, onoff: 0, lmTime: 0 }] });
+    await change;
+
+    assert.deepEqual(changes, [{ device: 'Vacuum plug', channel: 0, onoff: 0, source: 'push' }]);
+    assert.equal(manager.devices.get(PLUG.uuid).channelStates.size, 0);
+  });
+
+  it('ignores pushes from devices it has no handle for', async () => {
+    const broker = new MemoryMqttBroker();
+    const { manager, changes } = await managerWithHandles(broker);
+
+    pushFrom(broker, 'unmanaged00000000000000000000099', 'Appliance.Control.ToggleX', { togglex: [{ channel: 1, onoff: 1, lmTime: 0 }] });
+    broker.publish(`/app/${USER_ID}/subscribe`, 'not a Meross message');
+    const change = once(manager.devices.get(PLUG.uuid), 'stateChange');
+    pushFrom(broker, PLUG.uuid, 'Appliance.Control.ToggleX', { togglex: [{ channel: 1, onoff: 1, lmTime: 0 }] });
+    await change;
+
+    assert.deepEqual(changes, [{ device: 'Spindle plug', channel: 1, onoff: 1, source: 'push' }]);
+    assert.equal(manager.isMqttConnected(), true);
+  });
+
+  it('reports a device going offline', async () => {
+    const broker = new MemoryMqttBroker();
+    const { manager } = await managerWithHandles(broker);
+    const vacuum = manager.devices.get(VACUUM.uuid);
+
+    const online = once(vacuum, 'deviceOnline');
+    pushFrom(broker, VACUUM.uuid, 'Appliance.System.Online', { online: { status: 2 } });
+
+    assert.deepEqual(await online, [false]);
+    assert.equal(vacuum.deviceOnline, false);
+  });
+});
+
+describe('MQTT connection', () => {
+  it('reconnects an established client in place, keeping its offline queue', async () => {
+    const broker = new MemoryMqttBroker();
+    const manager = createManager(broker, {
+      mqtt: {
+        transport: () => broker.createConnection(),
+        reconnectBaseMs: 60000, // Only reconnect when asked
+        reconnectMaxMs: 60000,
+        offlineQueue: { ttlMs: 5000 }
+      }
+    });
+    await manager.connectMqtt();
+    const client = manager.mqttClient;
+
+    const offline = once(client, 'offline');
+    broker.dropConnections();
+    await offline;
+    const queued = client.publish(`/appliance/${PLUG.uuid}/subscribe`, { n: 1 }, { key: 'toggle' });
+
+    await manager.connectMqtt();
+
+    assert.equal(manager.mqttClient, client);
+    assert.equal(manager.isMqttConnected(), true);
+    assert.equal((await queued).superseded, undefined);
+  });
+});
+
+describe('login', () => {
+  const session = {
+    email: 'user@example.com',
+    token: 'saved-token',
+    key: 'saved-key',
+    userId: USER_ID,
+    region: 'auto',
+    domain: 'https://cloud.local',
+    lastLoginAt: Date.now(),
+    loginBlockedUntil: Date.now() + 60 * 60 * 1000
+  };
+
+  afterEach(() => {
+    MerossCloudManager.sharedAuth = null;
+    MerossCloudManager.loginPromise = null;
+    MerossCloudManager.loginBlockedUntil = 0;
+  });
+
+  it('uses a saved session while new sign-ins are blocked', async () => {
+    assert.equal(MerossCloudManager.restoreSession(session), true);
+    const manager = new MerossCloudManager(null);
+
+    assert.equal(await manager._login(session.email, ''), true);
+    assert.equal(manager.token, 'saved-token');
+  });
+
+  it('refuses a real sign-in while blocked', async () => {
+    MerossCloudManager.restoreSession({ loginBlockedUntil: session.loginBlockedUntil });
+    const manager = new MerossCloudManager(null);
+
+    await assert.rejects(manager._login(session.email, 'password'), RateLimitedError);
+  });
+});
@@ -0,0 +1,132 @@
+/*
+ * Meross errors: apiStatus to error class mapping and retry flags
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  fromApiStatus,
+  MerossError,
+  AuthExpiredError,
+  AuthFailedError,
+  MfaRequiredError,
+  PasswordRequiredError,
+  RateLimitedError,
+  WrongRegionError,
+  DeviceNotFoundError,
+  DeviceOfflineError,
+  NetworkError,
+  TimeoutError,
+  ProtocolError
+} from '../meross-errors.js';
+
+describe('fromApiStatus', () => {
+  const cases = [
+    // [apiStatus, info, class, code, retryable]
+    [1001, 'Wrong password', AuthFailedError, 'auth_failed', false],
+    [1004, 'Account not exist', AuthFailedError, 'auth_failed', false],
+    [1008, 'Account disabled', AuthFailedError, 'auth_failed', false],
+    [1019, 'Token expired', AuthExpiredError, 'auth_expired', true],
+    [1022, 'Token error', AuthExpiredError, 'auth_expired', true],
+    [1200, 'Token has expired', AuthExpiredError, 'auth_expired', true],
+    ['1200', 'Token as a string', AuthExpiredError, 'auth_expired', true],
+    [1030, 'Redirect', WrongRegionError, 'wrong_region', true],
+    [1032, 'Wrong MFA code', MfaRequiredError, 'mfa_required', false],
+    [1033, 'MFA required', MfaRequiredError, 'mfa_required', false],
+    [1301, 'Too many tokens', RateLimitedError, 'rate_limited', true],
+    [1255, 'Beyond Login Limit', RateLimitedError, 'rate_limited', true],
+    [1500, 'login too frequent, try later', RateLimitedError, 'rate_limited', true],
+    [5000, 'Something else', MerossError, 'meross_error', true],
+    ['UNKNOWN', 'No status', MerossError, 'meross_error', true]
+  ];
+
+  for (const [apiStatus, info, ErrorClass, code, retryable] of cases) {
+    it(`maps ${apiStatus} (${info}) to ${ErrorClass.name}`, () => {
+      const error = fromApiStatus(apiStatus, info);
+
+      assert.equal(error.constructor, ErrorClass);
+      assert.equal(error.code, code);
+      assert.equal(error.retryable, retryable);
+      assert.equal(error.apiStatus, Number.isFinite(Number(apiStatus)) ? Number(apiStatus) : null);
+    });
+  }
+
+  it('keeps the cloud message for generic errors', () => {
+    assert.equal(fromApiStatus(5000, 'Something else').message, 'Meross API Error 5000: Something else');
+  });
+
+  it('takes the account domains from a 1030 redirect', () => {
+    const error = fromApiStatus(1030, 'Redirect', { domain: 'https://iotx-eu.meross.com', mqttDomain: 'mqtt-eu-3.meross.com' });
+
+    assert.equal(error.domain, 'https://iotx-eu.meross.com');
+    assert.equal(error.mqttDomain, 'mqtt-eu-3.meross.com');
+  });
+
+  it('leaves the domains empty when a 1030 redirect names none', () => {
+    const error = fromApiStatus(1030, 'Redirect');
+
+    assert.equal(error.domain, null);
+    assert.equal(error.mqttDomain, null);
+  });
+
+  it('tells a missing MFA code from a rejected one', () => {
+    const required = fromApiStatus(1033, 'MFA required');
+    const rejected = fromApiStatus(1032, 'Wrong code');
+
+    assert.equal(required.invalidCode, false);
+    assert.equal(rejected.invalidCode, true);
+    assert.match(required.message, /multi-factor authentication/);
+    assert.match(rejected.message, /rejected the verification code/);
+    assert.ok(required instanceof AuthFailedError);
+  });
+});
+
+describe('error classes', () => {
+  const cases = [
+    // [class, code, retryable]
+    [MerossError, 'meross_error', true],
+    [AuthExpiredError, 'auth_expired', true],
+    [AuthFailedError, 'auth_failed', false],
+    [MfaRequiredError, 'mfa_required', false],
+    [PasswordRequiredError, 'password_required', false],
+    [RateLimitedError, 'rate_limited', true],
+    [WrongRegionError, 'wrong_region', true],
+    [DeviceNotFoundError, 'device_not_found', false],
+    [DeviceOfflineError, 'device_offline', true],
+    [NetworkError, 'network', true],
+    [TimeoutError, 'timeout', true],
+    [ProtocolError, 'protocol', false]
+  ];
+
+  for (const [ErrorClass, code, retryable] of cases) {
+    it(`${ErrorClass.name} is ${code}, ${retryable ? '' : 'not '}retryable`, () => {
+      const error = new ErrorClass('failed');
+
+      assert.ok(error instanceof MerossError);
+      assert.equal(error.name, ErrorClass.name);
+      assert.equal(error.code, code);
+      assert.equal(error.retryable, retryable);
+    });
+  }
+
+  it('lets options override retryable and carry the wait and cause', () => {
+    const cause = new Error('socket hang up');
+    const error = new ProtocolError('Bad response', { retryable: true, retryAfterMs: 2000, cause });
+
+    assert.equal(error.retryable, true);
+    assert.equal(error.retryAfterMs, 2000);
+    assert.equal(error.cause, cause);
+  });
+
+  it('serializes to a plain summary for settings', () => {
+    const error = new RateLimitedError('Slow down', { apiStatus: 1301, retryAfterMs: 60000 });
+
+    assert.deepEqual(JSON.parse(JSON.stringify(error)), {
+      code: 'rate_limited',
+      message: 'Slow down',
+      apiStatus: 1301,
+      retryable: true,
+      retryAfterMs: 60000
+    });
+  });
+});
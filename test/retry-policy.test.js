@@ -0,0 +1,133 @@
+/*
+ * Retry policy: backoff growth, cut-offs, non-retryable errors and cancellation
+ * Delays are kept to a few milliseconds so the suite stays fast
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RetryPolicy from '../retry-policy.js';
+
+/**
+ * Operation that fails the first `failures` times, then returns 'done'
+ */
+function failingTimes(failures, makeError = () => new Error('flaky')) {
+  const calls = [];
+  const operation = async (attempt) => {
+    calls.push(attempt);
+    if (calls.length <= failures) throw makeError();
+    return 'done';
+  };
+  return { operation, calls };
+}
+
+describe('RetryPolicy', () => {
+  it('doubles the delay per retry up to maxDelayMs', () => {
+    const policy = new RetryPolicy({ initialDelayMs: 100, maxDelayMs: 500 });
+
+    assert.deepEqual([1, 2, 3, 4, 5].map(retry => policy.delayFor(retry)), [100, 200, 400, 500, 500]);
+  });
+
+  it('retries until the operation succeeds, reporting each wait', async () => {
+    const policy = new RetryPolicy({ initialDelayMs: 1, maxDelayMs: 4 });
+    const { operation, calls } = failingTimes(3);
+    const retries = [];
+
+    const result = await policy.run(operation, { onRetry: (error, info) => retries.push(info) });
+
+    assert.equal(result, 'done');
+    assert.deepEqual(calls, [1, 2, 3, 4]);
+    assert.deepEqual(retries, [{ attempt: 1, delayMs: 1 }, { attempt: 2, delayMs: 2 }, { attempt: 3, delayMs: 4 }]);
+  });
+
+  it('gives up after maxAttempts with the last failure as cause', async () => {
+    const policy = new RetryPolicy({ maxAttempts: 3, initialDelayMs: 1 });
+    const { operation, calls } = failingTimes(10);
+
+    const error = await policy.run(operation, { label: 'Connect' }).catch(e => e);
+
+    assert.deepEqual(calls, [1, 2, 3]);
+    assert.match(error.message, /^Connect failed after 3 attempts/);
+    assert.equal(error.attempts, 3);
+    assert.equal(error.retryable, false);
+    assert.equal(error.cause.message, 'flaky');
+  });
+
+  it('does not start a wait that would pass maxElapsedMs', async () => {
+    const policy = new RetryPolicy({ maxAttempts: 10, maxElapsedMs: 50, initialDelayMs: 20 });
+    const { operation, calls } = failingTimes(10);
+
+    const error = await policy.run(operation).catch(e => e);
+
+    assert.deepEqual(calls, [1, 2]); // 20 ms, then 40 ms more would pass 50 ms
+    assert.equal(error.attempts, 2);
+  });
+
+  it('waits at least the retryAfterMs an error asks for', async () => {
+    const policy = new RetryPolicy({ initialDelayMs: 1 });
+    const { operation } = failingTimes(1, () => Object.assign(new Error('slow down'), { retryAfterMs: 30 }));
+    const retries = [];
+
+    await policy.run(operation, { onRetry: (error, info) => retries.push(info.delayMs) });
+
+    assert.deepEqual(retries, [30]);
+  });
+
+  it('stops at once on a non-retryable error and rethrows it unchanged', async () => {
+    const policy = new RetryPolicy({ initialDelayMs: 1 });
+    const wrongPassword = Object.assign(new Error('wrong password'), { retryable: false });
+    const { operation, calls } = failingTimes(10, () => wrongPassword);
+
+    await assert.rejects(policy.run(operation), error => error === wrongPassword);
+    assert.deepEqual(calls, [1]);
+  });
+
+  it('uses a custom isRetryable', async () => {
+    const policy = new RetryPolicy({ initialDelayMs: 1, isRetryable: error => error.message !== 'fatal' });
+    const { operation, calls } = failingTimes(10, () => new Error('fatal'));
+
+    await assert.rejects(policy.run(operation), /fatal/);
+    assert.deepEqual(calls, [1]);
+  });
+
+  it('ends a run with an AbortError when cancelled during a wait', async () => {
+    const policy = new RetryPolicy({ initialDelayMs: 60000 });
+    const { operation, calls } = failingTimes(10);
+    const controller = new AbortController();
+
+    const run = policy.run(operation, { signal: controller.signal, onRetry: () => controller.abort() });
+
+    await assert.rejects(run, error => RetryPolicy.isAbort(error) && error.retryable === false);
+    assert.deepEqual(calls, [1]);
+  });
+
+  it('does not return a result that arrived after cancelling', async () => {
+    const policy = new RetryPolicy();
+    const controller = new AbortController();
+
+    const run = policy.run(async () => {
+      controller.abort();
+      return 'too late';
+    }, { signal: controller.signal });
+
+    await assert.rejects(run, { name: 'AbortError' });
+  });
+
+  it('does not start when already cancelled', async () => {
+    const policy = new RetryPolicy();
+    const { operation, calls } = failingTimes(0);
+
+    await assert.rejects(policy.run(operation, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+    assert.deepEqual(calls, []);
+  });
+
+  it('sleep resolves after the delay and rejects when aborted', async () => {
+    await RetryPolicy.sleep(1);
+
+    const controller = new AbortController();
+    const sleeping = RetryPolicy.sleep(60000, controller.signal);
+    controller.abort();
+    await assert.rejects(sleeping, { name: 'AbortError' });
+
+    await assert.rejects(RetryPolicy.sleep(60000, AbortSignal.abort()), { name: 'AbortError' });
+  });
+});
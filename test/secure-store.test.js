@@ -0,0 +1,72 @@
+/*
+ * Secure store: random key file, sealing and opening values
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { sealJson, openJson, isLegacySealed, setKeyFile, getKeyFile } from '../secure-store.js';
+
+describe('secure store', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secure-store-'));
+    setKeyFile(path.join(dir, 'data', 'secure-store.key'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('creates a random key file readable only by the user', () => {
+    const sealed = sealJson({ token: 't' });
+
+    assert.ok(sealed.startsWith('v2:'));
+    const key = Buffer.from(fs.readFileSync(getKeyFile(), 'utf8'), 'base64');
+    assert.equal(key.length, 32);
+    if (process.platform !== 'win32') {
+      assert.equal(fs.statSync(getKeyFile()).mode & 0o777, 0o600);
+    }
+  });
+
+  it('opens what it sealed and never stores the plaintext', () => {
+    const sealed = sealJson({ password: 'hunter2' });
+
+    assert.ok(!sealed.includes('hunter2'));
+    assert.deepEqual(openJson(sealed), { password: 'hunter2' });
+  });
+
+  it('keeps using the key file across restarts', () => {
+    const sealed = sealJson({ n: 1 });
+    setKeyFile(getKeyFile()); // Drops the cached key
+
+    assert.deepEqual(openJson(sealed), { n: 1 });
+  });
+
+  it('cannot open values sealed with another key file', () => {
+    const sealed = sealJson({ n: 1 });
+    const original = getKeyFile();
+    setKeyFile(path.join(dir, 'other', 'secure-store.key'));
+
+    assert.equal(openJson(sealed), null);
+    setKeyFile(original);
+  });
+
+  it('rejects tampered, foreign and missing values', () => {
+    const parts = sealJson({ n: 1 }).split(':');
+    parts[3] = Buffer.from('tampered').toString('base64');
+
+    assert.equal(openJson(parts.join(':')), null);
+    assert.equal(openJson('plain text'), null);
+    assert.equal(openJson(null), null);
+  });
+
+  it('flags values from the machine-derived key for re-sealing', () => {
+    assert.equal(isLegacySealed('v1:aXY=:dGFn:ZGF0YQ=='), true);
+    assert.equal(isLegacySealed(sealJson({ n: 1 })), false);
+    assert.equal(isLegacySealed(null), false);
+  });
+});
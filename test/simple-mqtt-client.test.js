@@ -0,0 +1,298 @@
+/*
+ * SimpleMqttClient against the in-memory broker
+ * Covers framing, QoS 1 retransmits, reconnect/resubscribe, SUBACK refusal and
+ * the offline queue without a network. Run with `npm test`.
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { Duplex } from 'stream';
+import SimpleMqttClient from '../simple-mqtt-client.js';
+import MemoryMqttBroker from '../memory-mqtt-broker.js';
+
+const clients = [];
+
+/**
+ * Create a client for the broker; closed again after each test
+ */
+function createClient(broker, options = {}) {
+  const client = new SimpleMqttClient({
+    clientId: 'app:test',
+    username: 'user',
+    password: 'secret-password',
+    ctx: null, // No logging
+    reconnectBaseMs: 10,
+    reconnectMaxMs: 20,
+    transport: () => broker.createConnection(),
+    ...options
+  });
+  clients.push(client);
+  return client;
+}
+
+/**
+ * Build a raw QoS 0 PUBLISH packet, as the broker would send it
+ */
+function publishPacket(topic, message) {
+  const topicBuf = Buffer.from(topic);
+  const body = Buffer.concat([
+    Buffer.from([topicBuf.length >> 8, topicBuf.length & 0xFF]),
+    topicBuf,
+    Buffer.from(JSON.stringify(message))
+  ]);
+  const length = [];
+  let remaining = body.length;
+  do {
+    let byte = remaining % 128;
+    remaining = Math.floor(remaining / 128);
+    if (remaining > 0) byte |= 0x80;
+    length.push(byte);
+  } while (remaining > 0);
+  return Buffer.concat([Buffer.from([0x30, ...length]), body]);
+}
+
+/**
+ * Collect the 'message' events of a client
+ */
+function collectMessages(client) {
+  const messages = [];
+  client.on('message', (topic, payload) => messages.push({ topic, payload }));
+  return messages;
+}
+
+const tick = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+afterEach(() => {
+  clients.splice(0).forEach(client => client.disconnect());
+});
+
+describe('framing', () => {
+  it('reassembles a packet split across chunks', async () => {
+    const client = createClient(new MemoryMqttBroker());
+    await client.connect();
+    const messages = collectMessages(client);
+
+    const packet = publishPacket('/app/split', { text: 'x'.repeat(300) }); // Two-byte remaining length
+    for (const byte of packet) {
+      client.socket.push(Buffer.from([byte]));
+    }
+    await tick();
+
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].payload.text.length, 300);
+  });
+
+  it('splits several packets arriving in one chunk', async () => {
+    const client = createClient(new MemoryMqttBroker());
+    await client.connect();
+    const messages = collectMessages(client);
+
+    client.socket.push(Buffer.concat([publishPacket('/app/a', { n: 1 }), publishPacket('/app/b', { n: 2 })]));
+    await tick();
+
+    assert.deepEqual(messages.map(message => message.topic), ['/app/a', '/app/b']);
+  });
+
+  it('drops the connection on a truncated packet and reconnects', async () => {
+    const client = createClient(new MemoryMqttBroker());
+    await client.connect();
+
+    const online = once(client, 'online');
+    client.socket.push(Buffer.from([0xB0, 0x01, 0x00])); // UNSUBACK without a full packet id
+    const [info] = await online;
+
+    assert.equal(info.reconnected, true);
+    assert.equal(client.connected, true);
+  });
+
+  it('keeps the connection when a message listener throws', async () => {
+    const broker = new MemoryMqttBroker();
+    const client = createClient(broker);
+    await client.connect();
+    await client.subscribe('/app/boom');
+    const socket = client.socket;
+    let offline = false;
+    client.on('offline', () => {
+      offline = true;
+    });
+
+    client.once('message', () => {
+      throw new Error('listener failed');
+    });
+    broker.publish('/app/boom', { n: 1 });
+    await tick();
+
+    const messages = collectMessages(client);
+    broker.publish('/app/boom', { n: 2 });
+    await tick();
+
+    assert.equal(offline, false);
+    assert.equal(client.socket, socket);
+    assert.deepEqual(messages.map(message => message.payload.n), [2]);
+  });
+});
+
+describe('QoS 1 publish', () => {
+  it('retransmits with DUP set when a PUBACK is lost', async () => {
+    const broker = new MemoryMqttBroker({ dropPubacks: 1 });
+    const dupFlags = [];
+    broker.on('publish', (topic, payload, qos, dup) => dupFlags.push(dup));
+    const client = createClient(broker, { ackTimeout: 30 });
+    await client.connect();
+
+    const result = await client.publish('/appliance/x/subscribe', { on: 1 }, { qos: 1 });
+
+    assert.equal(result.attempts, 2);
+    assert.deepEqual(dupFlags, [false, true]);
+  });
+
+  it('gives up after maxRetransmits', async () => {
+    const broker = new MemoryMqttBroker({ dropPubacks: 10 });
+    const client = createClient(broker, { ackTimeout: 20, maxRetransmits: 1 });
+    await client.connect();
+
+    await assert.rejects(client.publish('/appliance/x/subscribe', { on: 1 }, { qos: 1 }), /No PUBACK/);
+  });
+
+  it('resends an unacknowledged publish after a reconnect', async () => {
+    const broker = new MemoryMqttBroker({ dropPubacks: 1 });
+    const client = createClient(broker, { ackTimeout: 10000 });
+    await client.connect();
+
+    const delivery = client.publish('/appliance/x/subscribe', { on: 1 }, { qos: 1 });
+    await tick();
+    broker.dropConnections();
+
+    const result = await delivery;
+    assert.equal(result.attempts, 2);
+  });
+});
+
+describe('connection', () => {
+  it('restores subscriptions after a dropped connection', async () => {
+    const broker = new MemoryMqttBroker();
+    const client = createClient(broker);
+    await client.connect();
+    await client.subscribe('/app/user/subscribe');
+
+    const online = once(client, 'online');
+    broker.dropConnections();
+    const [info] = await online;
+    assert.equal(info.reconnected, true);
+    await tick(); // Resubscribe is sent right after CONNACK
+
+    const message = once(client, 'message');
+    broker.publish('/app/user/subscribe', { header: {}, payload: { n: 1 } });
+    const [topic, payload] = await message;
+    assert.equal(topic, '/app/user/subscribe');
+    assert.deepEqual(payload.payload, { n: 1 });
+  });
+
+  it('drops a half-open connection once PINGRESP stops', async () => {
+    const client = createClient(new MemoryMqttBroker({ respondToPings: false }), { keepalive: 1 });
+    await client.connect();
+
+    await once(client, 'offline');
+    assert.equal(client.connected, false);
+  });
+
+  it('rejects bad credentials', async () => {
+    const client = createClient(new MemoryMqttBroker({ username: 'user', password: 'other-password' }));
+
+    await assert.rejects(client.connect(), /bad username or password/);
+  });
+
+  it('times out a broker that never sends CONNACK', async () => {
+    const silent = () => new Duplex({ read() {}, write(chunk, encoding, callback) { callback(); } });
+    const client = createClient(new MemoryMqttBroker(), { transport: silent, connectTimeout: 30 });
+
+    await assert.rejects(client.connect(), /No CONNACK/);
+  });
+
+  it('rejects instead of throwing when not connected', async () => {
+    const client = createClient(new MemoryMqttBroker());
+
+    const calls = [
+      () => client.subscribe('/app/user/subscribe'),
+      () => client.unsubscribe('/app/user/subscribe'),
+      () => client.publish('/appliance/x/subscribe', { on: 1 })
+    ];
+    for (const call of calls) {
+      let result;
+      assert.doesNotThrow(() => {
+        result = call();
+      });
+      await assert.rejects(result, /Not connected to MQTT broker/);
+    }
+  });
+});
+
+describe('subscriptions', () => {
+  it('reports topics the broker refuses and does not restore them', async () => {
+    const client = createClient(new MemoryMqttBroker({ refuseTopics: ['/app/denied'] }));
+    await client.connect();
+
+    const error = await client.subscribe(['/app/allowed', '/app/denied']).catch(e => e);
+
+    assert.match(error.message, /subscription refused: \/app\/denied/);
+    assert.deepEqual(error.granted, [0, 0x80]);
+    assert.deepEqual([...client.subscriptions.keys()], ['/app/allowed']);
+  });
+});
+
+describe('offline queue', () => {
+  /**
+   * Connected client whose connection just dropped; it stays offline until reconnectNow()
+   */
+  async function offlineClient(broker, options = {}) {
+    const client = createClient(broker, {
+      reconnectBaseMs: 60000,
+      reconnectMaxMs: 60000,
+      offlineQueue: { ttlMs: 1000 },
+      ...options
+    });
+    await client.connect();
+    const offline = once(client, 'offline');
+    broker.dropConnections();
+    await offline;
+    return client;
+  }
+
+  it('replaces a queued publish with a newer one for the same key', async () => {
+    const broker = new MemoryMqttBroker();
+    const sent = [];
+    broker.on('publish', (topic, payload) => sent.push(JSON.parse(payload.toString())));
+    const client = await offlineClient(broker);
+
+    const first = client.publish('/appliance/x/subscribe', { onoff: 1 }, { key: 'x:1' });
+    const second = client.publish('/appliance/x/subscribe', { onoff: 0 }, { key: 'x:1' });
+    assert.deepEqual(await first, { packetId: null, attempts: 0, superseded: true });
+
+    await client.reconnectNow();
+    await second;
+    await tick();
+    assert.deepEqual(sent, [{ onoff: 0 }]);
+  });
+
+  it('sends queued publishes in order once back online', async () => {
+    const broker = new MemoryMqttBroker();
+    const sent = [];
+    broker.on('publish', (topic, payload) => sent.push(JSON.parse(payload.toString()).n));
+    const client = await offlineClient(broker);
+
+    const deliveries = [1, 2, 3].map(n => client.publish('/appliance/x/subscribe', { n }, { key: `x:${n}` }));
+    await client.reconnectNow();
+    await Promise.all(deliveries);
+    await tick();
+
+    assert.deepEqual(sent, [1, 2, 3]);
+  });
+
+  it('expires publishes that wait too long', async () => {
+    const client = await offlineClient(new MemoryMqttBroker());
+
+    await assert.rejects(client.publish('/appliance/x/subscribe', { onoff: 1 }, { ttlMs: 20 }), /expired after 20ms/);
+    assert.equal(client.queue.length, 0);
+  });
+});